@@ -1,7 +1,7 @@
 const isMainProcess = typeof process !== 'undefined' && process.type === 'browser';
 
 if (isMainProcess) {
-  require('./lib/browser/rpc-server')
+  module.exports = require('./lib/browser/rpc-server')
 } else {
   module.exports = require('./lib/renderer/remote')
 }
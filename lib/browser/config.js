@@ -0,0 +1,101 @@
+const {checkFunction, checkNumber} = require('../common/option-checks')
+
+// The options of lazy-remote in the main process.
+const options = {
+  // The names that renderers can pass to remote.require, remote.getGlobal and
+  // remote.getBuiltin. null means everything is allowed.
+  allowModules: null,
+  allowGlobals: null,
+  allowBuiltins: null,
+
+  // Whether chains can get members such as "constructor" and "__proto__",
+  // which lead to the Function constructor and so to running any code.
+  allowUnsafeMembers: false,
+
+  // Called with (webContents, commands) before a chain is run, returning false
+  // rejects the chain.
+  filter: null,
+
+  // Called with {webContents, contextId, commands, size} before a chain is
+  // run, then with the |duration| and the |result| or |error| added after it.
+  onCommit: null,
+  onResult: null,
+  onError: null,
+
+  // Warn about the chains that take longer than this in milliseconds.
+  slowCommitThreshold: null,
+
+  // How long a synchronous commit waits for the callback of an asynchronous
+  // function in milliseconds before replying with a TimeoutError, renderers
+  // can pass a shorter timeout. null waits forever.
+  timeout: null,
+
+  // Send the buffers larger than this in bytes to renderers in chunks of
+  // |chunkSize| bytes, null sends every buffer in one message.
+  chunkThreshold: null,
+  chunkSize: 256 * 1024,
+
+  // The limits of each JavaScript context of renderers, null means no limit:
+  // the commands of a chain, the estimated size of a chain with its arguments
+  // in bytes, the chains run per second, and the remote objects referenced.
+  maxCommands: null,
+  maxArgsSize: null,
+  maxCallsPerSecond: null,
+  maxObjects: null
+}
+
+const checkNames = function (key, value) {
+  if (value !== null && !(Array.isArray(value) && value.every((name) => typeof name === 'string'))) {
+    throw new TypeError(`Option '${key}' must be an array of strings or null`)
+  }
+}
+
+const checkBoolean = function (key, value) {
+  if (typeof value !== 'boolean') {
+    throw new TypeError(`Option '${key}' must be a boolean`)
+  }
+}
+
+const checkCount = function (key, value) {
+  if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+    throw new TypeError(`Option '${key}' must be a non-negative integer or null`)
+  }
+}
+
+const checkPositiveInteger = function (key, value) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new TypeError(`Option '${key}' must be a positive integer`)
+  }
+}
+
+const validators = {
+  allowModules: checkNames,
+  allowGlobals: checkNames,
+  allowBuiltins: checkNames,
+  allowUnsafeMembers: checkBoolean,
+  filter: checkFunction,
+  onCommit: checkFunction,
+  onResult: checkFunction,
+  onError: checkFunction,
+  slowCommitThreshold: checkNumber,
+  timeout: checkNumber,
+  chunkThreshold: checkCount,
+  chunkSize: checkPositiveInteger,
+  maxCommands: checkCount,
+  maxArgsSize: checkCount,
+  maxCallsPerSecond: checkCount,
+  maxObjects: checkCount
+}
+
+// Update the options, the ones not passed are kept unchanged.
+exports.configure = function (newOptions) {
+  for (const key of Object.keys(newOptions)) {
+    if (!(key in validators)) {
+      throw new TypeError(`Unknown option '${key}'`)
+    }
+    validators[key](key, newOptions[key])
+  }
+  Object.assign(options, newOptions)
+}
+
+exports.options = options
@@ -0,0 +1,113 @@
+const config = require('./config')
+
+// How long the calls are counted for |maxCallsPerSecond|, in milliseconds.
+const RATE_WINDOW = 1000
+
+// The times of the recent calls of each context.
+// (webContents.id-contextId) => [time]
+const recentCalls = new Map()
+
+// Estimate the size of |value| in bytes without serializing it, returning
+// early once it is larger than |max|.
+const getSize = function (value, max) {
+  if (value === null || value === undefined) return 0
+  switch (typeof value) {
+    case 'string':
+      return value.length
+    case 'object': {
+      if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return value.byteLength
+      }
+      let size = 0
+      for (const key of Object.keys(value)) {
+        size += key.length + getSize(value[key], max - size)
+        if (size > max) break
+      }
+      return size
+    }
+    default:
+      return 8
+  }
+}
+
+// Count the commands of a chain, including the chains nested in the metas of
+// its arguments, returning early once there are more than |max|.
+const countCommands = function (commands, max) {
+  let count = 0
+  const visit = (value) => {
+    if (count > max || value === null || typeof value !== 'object' ||
+        ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return
+    }
+    if (value.type === 'lazy-object' && Array.isArray(value.commands)) {
+      count += value.commands.length
+    }
+    for (const key of Object.keys(value)) visit(value[key])
+  }
+  count += commands.length
+  visit(commands)
+  return count
+}
+
+const countCall = function (contextKey) {
+  const now = Date.now()
+  const calls = (recentCalls.get(contextKey) || []).filter((time) => now - time < RATE_WINDOW)
+  calls.push(now)
+  recentCalls.set(contextKey, calls)
+  return calls.length
+}
+
+const exceeded = function (limit, value, message) {
+  return { limit, value, max: config.options[limit], message }
+}
+
+// Count a call of the context and check it against the limits. Return the
+// exceeded limit as {limit, value, max, message}, or null.
+exports.check = function (contextKey, commands) {
+  const {options} = config
+
+  if (options.maxCallsPerSecond !== null) {
+    const calls = countCall(contextKey)
+    if (calls > options.maxCallsPerSecond) {
+      return exceeded('maxCallsPerSecond', calls,
+                      `More than ${options.maxCallsPerSecond} calls in a second`)
+    }
+  }
+  if (options.maxCommands !== null) {
+    const count = countCommands(commands, options.maxCommands)
+    if (count > options.maxCommands) {
+      return exceeded('maxCommands', count,
+                      `The chain has more than ${options.maxCommands} commands, counting the chains in its arguments`)
+    }
+  }
+  if (options.maxArgsSize !== null) {
+    const size = getSize(commands, options.maxArgsSize)
+    if (size > options.maxArgsSize) {
+      return exceeded('maxArgsSize', size,
+                      `The chain is larger than the limit of ${options.maxArgsSize} bytes`)
+    }
+  }
+  return null
+}
+
+// Check whether a context referencing |objectCount| remote objects and handles
+// can reference one more, same as above.
+exports.checkObjects = function (objectCount) {
+  const {maxObjects} = config.options
+  if (maxObjects !== null && objectCount >= maxObjects) {
+    return exceeded('maxObjects', objectCount + 1,
+                    `The context would reference more than ${maxObjects} remote objects and handles, release some of them first`)
+  }
+  return null
+}
+
+// Whether the calls of the context are being counted, i.e. it should be
+// released when it goes away.
+exports.isTracking = function (contextKey) {
+  return recentCalls.has(contextKey)
+}
+
+// Forget the calls of a released context.
+exports.release = function (contextKey) {
+  recentCalls.delete(contextKey)
+}
@@ -1,4 +1,7 @@
-const features = process.atomBinding('features')
+// The features binding is only available in Electron.
+const features = typeof process.atomBinding === 'function'
+  ? process.atomBinding('features')
+  : null
 
 // Browser side modules, please sort alphabetically.
 module.exports = [
@@ -32,7 +35,7 @@ module.exports = [
   {name: 'NavigationController', file: 'navigation-controller', private: true}
 ]
 
-if (features.isViewApiEnabled()) {
+if (features && features.isViewApiEnabled()) {
   module.exports.push(
     {name: 'BoxLayout', file: 'box-layout'},
     {name: 'Button', file: 'button'},
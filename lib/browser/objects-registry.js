@@ -1,24 +1,50 @@
-const v8Util = process.atomBinding('v8_util')
+const v8Util = require('../common/v8-util')
 
 const getOwnerKey = (webContents, contextId) => {
   return `${webContents.id}-${contextId}`
 }
 
+const getConstructorName = (object) => {
+  try {
+    const prototype = Object.getPrototypeOf(object)
+    if (prototype === null) return 'Object'
+    const {constructor} = prototype
+    return (typeof constructor === 'function' && constructor.name) || 'Object'
+  } catch (error) {
+    return 'Object'
+  }
+}
+
+const countDelta = (before, after) => {
+  const delta = {}
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const count = (after[key] || 0) - (before[key] || 0)
+    if (count !== 0) delta[key] = count
+  }
+  return delta
+}
+
 class ObjectsRegistry {
   constructor () {
     this.nextId = 0
 
     // Stores all objects by ref-counting.
-    // (id) => {object, count}
+    // (id) => {object, count, created}
     this.storage = {}
 
-    // Stores the IDs of objects referenced by WebContents.
-    // (ownerKey) => [id]
+    // Stores the IDs of objects referenced by WebContents, with how many times
+    // each one has been sent to it.
+    // (ownerKey) => Map<id, generation>
     this.owners = {}
+
+    // Stores the WebContents and context that each owner key stands for.
+    // (ownerKey) => {webContentsId, contextId}
+    this.ownerContexts = {}
   }
 
   // Register a new object and return its assigned ID. If the object is already
-  // registered then the already assigned ID would be returned.
+  // registered then the already assigned ID would be returned. Each call bumps
+  // the generation of the ID for the WebContents, see |generation|.
   add (webContents, contextId, obj) {
     // Get or assign an ID to the object.
     const id = this.saveToStorage(obj)
@@ -27,30 +53,54 @@ class ObjectsRegistry {
     const ownerKey = getOwnerKey(webContents, contextId)
     let owner = this.owners[ownerKey]
     if (!owner) {
-      owner = this.owners[ownerKey] = new Set()
-      this.registerDeleteListener(webContents, contextId)
+      owner = this.owners[ownerKey] = new Map()
+      this.ownerContexts[ownerKey] = { webContentsId: webContents.id, contextId }
     }
     if (!owner.has(id)) {
-      owner.add(id)
       // Increase reference count if not referenced before.
       this.storage[id].count++
     }
+    owner.set(id, (owner.get(id) || 0) + 1)
     return id
   }
 
+  // Return how many times the object has been sent to the WebContents, the
+  // renderer passes it back when dereferencing so that the references sent
+  // after it decided to do so are kept.
+  generation (webContents, contextId, id) {
+    const owner = this.owners[getOwnerKey(webContents, contextId)]
+    return owner ? owner.get(id) : undefined
+  }
+
   // Get an object according to its ID.
   get (id) {
     const pointer = this.storage[id]
     if (pointer != null) return pointer.object
   }
 
-  // Dereference an object according to its ID.
+  // Whether the object has been sent to the WebContents and is still referenced.
+  owns (webContents, contextId, obj) {
+    const owner = this.owners[getOwnerKey(webContents, contextId)]
+    const id = v8Util.getHiddenValue(obj, 'atomId')
+    return owner != null && id != null && owner.has(id)
+  }
+
+  // Same as above, but only when the object has been sent to the WebContents,
+  // so that a context can not use the IDs of the objects of others.
+  getOwned (webContents, contextId, id) {
+    const owner = this.owners[getOwnerKey(webContents, contextId)]
+    if (owner && owner.has(id)) return this.get(id)
+  }
+
+  // Dereference an object according to its ID, unless it has been sent again
+  // since |generation|.
   // Note that an object may be double-freed (cleared when page is reloaded, and
   // then garbage collected in old page).
-  remove (webContents, contextId, id) {
+  remove (webContents, contextId, id, generation) {
     const ownerKey = getOwnerKey(webContents, contextId)
     let owner = this.owners[ownerKey]
-    if (owner) {
+    if (owner && owner.has(id)) {
+      if (generation != null && owner.get(id) !== generation) return
       // Remove the reference in owner.
       owner.delete(id)
       // Dereference from the storage.
@@ -64,9 +114,89 @@ class ObjectsRegistry {
     let owner = this.owners[ownerKey]
     if (!owner) return
 
-    for (let id of owner) this.dereference(id)
+    for (let id of owner.keys()) this.dereference(id)
 
     delete this.owners[ownerKey]
+    delete this.ownerContexts[ownerKey]
+  }
+
+  // Return how many objects are referenced by the WebContents.
+  count (webContents, contextId) {
+    const owner = this.owners[getOwnerKey(webContents, contextId)]
+    return owner ? owner.size : 0
+  }
+
+  // Report the live objects, with their reference counts and ages, and how many
+  // of them are referenced by each owner and of each constructor. |handles|
+  // are the values kept for the chain handles of each owner, which are counted
+  // per owner as well.
+  // handles: (ownerKey) => {webContentsId, contextId, values: Map<id, value>}
+  snapshot (handles = new Map()) {
+    const time = Date.now()
+    const objects = {}
+    for (const id of Object.keys(this.storage)) {
+      const pointer = this.storage[id]
+      objects[id] = {
+        id: Number(id),
+        constructorName: getConstructorName(pointer.object),
+        count: pointer.count,
+        age: time - pointer.created,
+        owners: []
+      }
+    }
+
+    const owners = {}
+    const constructors = {}
+    for (const object of Object.values(objects)) {
+      constructors[object.constructorName] = (constructors[object.constructorName] || 0) + 1
+    }
+    for (const ownerKey of Object.keys(this.owners)) {
+      const owner = Object.assign({ count: 0, handles: 0, constructors: {} }, this.ownerContexts[ownerKey])
+      for (const id of this.owners[ownerKey].keys()) {
+        const object = objects[id]
+        if (object == null) continue
+        object.owners.push(ownerKey)
+        owner.count++
+        owner.constructors[object.constructorName] = (owner.constructors[object.constructorName] || 0) + 1
+      }
+      owners[ownerKey] = owner
+    }
+    for (const [ownerKey, {webContentsId, contextId, values}] of handles) {
+      if (values.size === 0) continue
+      if (!owners[ownerKey]) {
+        owners[ownerKey] = { webContentsId, contextId, count: 0, handles: 0, constructors: {} }
+      }
+      owners[ownerKey].handles = values.size
+    }
+
+    return { time, objects, owners, constructors }
+  }
+
+  // Compare two snapshots, returning the objects added and removed between
+  // them, and the changes of the counts per owner and per constructor.
+  diff (before, after) {
+    const owners = {}
+    for (const ownerKey of new Set([...Object.keys(before.owners), ...Object.keys(after.owners)])) {
+      const beforeOwner = before.owners[ownerKey] || { count: 0, handles: 0, constructors: {} }
+      const afterOwner = after.owners[ownerKey] || { count: 0, handles: 0, constructors: {} }
+      if (afterOwner.count === beforeOwner.count && afterOwner.handles === beforeOwner.handles &&
+          Object.keys(countDelta(beforeOwner.constructors, afterOwner.constructors)).length === 0) {
+        continue
+      }
+      owners[ownerKey] = Object.assign({}, beforeOwner, afterOwner, {
+        count: afterOwner.count - beforeOwner.count,
+        handles: afterOwner.handles - beforeOwner.handles,
+        constructors: countDelta(beforeOwner.constructors, afterOwner.constructors)
+      })
+    }
+
+    return {
+      duration: after.time - before.time,
+      added: Object.keys(after.objects).filter((id) => !(id in before.objects)).map((id) => after.objects[id]),
+      removed: Object.keys(before.objects).filter((id) => !(id in after.objects)).map((id) => before.objects[id]),
+      owners,
+      constructors: countDelta(before.constructors, after.constructors)
+    }
   }
 
   // Private: Saves the object into storage and assigns an ID for it.
@@ -76,7 +206,8 @@ class ObjectsRegistry {
       id = ++this.nextId
       this.storage[id] = {
         count: 0,
-        object: object
+        object: object,
+        created: Date.now()
       }
       v8Util.setHiddenValue(object, 'atomId', id)
     }
@@ -95,20 +226,6 @@ class ObjectsRegistry {
       delete this.storage[id]
     }
   }
-
-  // Private: Clear the storage when renderer process is destroyed.
-  registerDeleteListener (webContents, contextId) {
-    // contextId => ${processHostId}-${contextCount}
-    const processHostId = contextId.split('-')[0]
-    const listener = (event, deletedProcessHostId) => {
-      if (deletedProcessHostId &&
-          deletedProcessHostId.toString() === processHostId) {
-        webContents.removeListener('render-view-deleted', listener)
-        this.clear(webContents, contextId)
-      }
-    }
-    webContents.on('render-view-deleted', listener)
-  }
 }
 
 module.exports = new ObjectsRegistry()
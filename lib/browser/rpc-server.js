@@ -1,10 +1,28 @@
-const electron = require('electron')
-const v8Util = process.atomBinding('v8_util')
-
-const {ipcMain, isPromise} = electron
+const {EventEmitter} = require('events')
+const v8Util = require('../common/v8-util')
 
+const config = require('./config')
+const limits = require('./limits')
 const objectsRegistry = require('./objects-registry')
 const bufferUtils = require('../common/buffer-utils')
+const callHook = require('../common/call-hook')
+const describeCommands = require('../common/describe-commands')
+const isPromise = require('../common/is-promise')
+const typeUtils = require('../common/type-utils')
+const {PROTOCOL_VERSION} = require('../common/protocol')
+const electronTransport = require('../common/transports/electron')
+
+// The builtin modules, which only exist in Electron's main process unless
+// replaced with |setBuiltins|.
+let electron = process.type === 'browser' ? require('electron') : {}
+
+// The names of the builtin modules told to renderers, none outside of
+// Electron until |setBuiltins| is called.
+let builtinNames = process.type !== 'browser' ? [] :
+  require('../common/module-list').concat(
+  require('./module-list'))
+  .filter((m) => !m.private)
+  .map((m) => m.name)
 
 const hasProp = {}.hasOwnProperty
 
@@ -13,9 +31,61 @@ const FUNCTION_PROPERTIES = [
   'length', 'name', 'arguments', 'caller', 'prototype'
 ]
 
-// The remote functions in renderer processes.
-// id => Function
-let rendererFunctions = v8Util.createDoubleIDWeakMap()
+// The remote functions in renderer processes of each context.
+// (webContentsId-contextId) => IDWeakMap<id, Function>
+const rendererFunctions = new Map()
+
+// The IDs of renderer functions passed by each context, with the generation
+// each one was last passed with, see lib/renderer/callbacks-registry.js.
+// (webContentsId-contextId) => Map<id, generation>
+const contextFunctions = new Map()
+
+// Tell the renderers to release the functions whose proxies are garbage
+// collected. Electron's v8Util.setRemoteCallbackFreer reports to the built-in
+// remote module, so use a FinalizationRegistry where the runtime has one.
+const rendererFunctionsFreer = typeof FinalizationRegistry === 'function'
+  ? new FinalizationRegistry(({sender, contextId, id}) => releaseRendererFunction(sender, contextId, id))
+  : null
+
+// The values kept for the chain handles of each context.
+// (webContentsId-contextId) => {webContentsId, contextId, values: Map<id, value>}
+const contextHandles = new Map()
+let nextHandleId = 0
+
+// The event subscriptions of each context.
+// (webContentsId-contextId) => Map<id, {emitter, eventName, listener}>
+const contextSubscriptions = new Map()
+
+// The promises returned to each context that have not settled yet.
+// (webContentsId-contextId) => Set<id>
+const contextPromises = new Map()
+let nextPromiseId = 0
+
+// The large buffers that each context reads in chunks.
+// (webContentsId-contextId) => Map<id, Buffer>
+const contextBuffers = new Map()
+let nextBufferId = 0
+
+// The async commits of each context waiting for promises to settle before
+// replying, which the renderer can still cancel.
+// (webContentsId-contextId) => Set<requestId>
+const contextPendingReplies = new Map()
+
+// The render-view-deleted listener of each context.
+// (webContentsId-contextId) => Function
+const contextDeleteListeners = new Map()
+
+// The services exposed to renderers with |expose|.
+// (name) => {object, methods}
+const services = new Map()
+
+// The commands that can follow a "get_service" command whose service has a
+// methods allowlist.
+const SERVICE_MEMBER_COMMANDS = ['member_get', 'member_call']
+
+const getContextKey = function (sender, contextId) {
+  return `${sender.id}-${contextId}`
+}
 
 // Return the description of object's members:
 let getObjectMembers = function (object) {
@@ -52,7 +122,10 @@ let getObjectPrototype = function (object) {
 }
 
 // Convert a real value into meta data.
-let valueToMeta = function (sender, contextId, value, optimizeSimpleObject = false) {
+let valueToMeta = function (sender, contextId, value, optimizeSimpleObject = false, references = typeUtils.createReferences()) {
+  const typeMeta = typeUtils.valueToMeta(value)
+  if (typeMeta) return typeMeta
+
   // Determine the type of value.
   const meta = { type: typeof value }
   if (meta.type === 'object') {
@@ -63,6 +136,10 @@ let valueToMeta = function (sender, contextId, value, optimizeSimpleObject = fal
       meta.type = 'buffer'
     } else if (Array.isArray(value)) {
       meta.type = 'array'
+    } else if (value instanceof Map) {
+      meta.type = 'map'
+    } else if (value instanceof Set) {
+      meta.type = 'set'
     } else if (value instanceof Error) {
       meta.type = 'error'
     } else if (value instanceof Date) {
@@ -78,28 +155,49 @@ let valueToMeta = function (sender, contextId, value, optimizeSimpleObject = fal
     }
   }
 
+  // Check for shared and circular references.
+  if (meta.type === 'array' || meta.type === 'map' || meta.type === 'set') {
+    const reference = references.visit(value, meta)
+    if (reference) return reference
+  }
+
   // Fill the meta object according to value's type.
+  const memberToMeta = (member) => {
+    return valueToMeta(sender, contextId, member, optimizeSimpleObject, references)
+  }
   if (meta.type === 'array') {
-    meta.members = value.map((el) => valueToMeta(sender, contextId, el, optimizeSimpleObject))
+    meta.members = Array.prototype.map.call(value, memberToMeta)
+  } else if (meta.type === 'map') {
+    meta.members = Array.from(value, ([key, member]) => {
+      return { key: memberToMeta(key), value: memberToMeta(member) }
+    })
+  } else if (meta.type === 'set') {
+    meta.members = Array.from(value, memberToMeta)
   } else if (meta.type === 'object' || meta.type === 'function') {
     meta.name = value.constructor ? value.constructor.name : ''
 
     // Reference the original value if it's an object, because when it's
     // passed to renderer we would assume the renderer keeps a reference of
     // it.
+    watchContext(sender, contextId)
+    const isAdded = addedObjectIds !== null && !objectsRegistry.owns(sender, contextId, value)
+    if (isAdded) checkObjectLimit(sender, contextId)
     meta.id = objectsRegistry.add(sender, contextId, value)
+    if (isAdded) addedObjectIds.push(meta.id)
+    meta.generation = objectsRegistry.generation(sender, contextId, meta.id)
     meta.members = getObjectMembers(value)
     meta.proto = getObjectPrototype(value)
   } else if (meta.type === 'buffer') {
-    meta.value = bufferUtils.bufferToMeta(value)
+    const {chunkThreshold} = config.options
+    if (chunkThreshold !== null && value.byteLength > chunkThreshold) {
+      meta.type = 'chunked-buffer'
+      meta.id = addChunkedBuffer(sender, contextId, value)
+      Object.assign(meta, bufferUtils.bufferToChunkedMeta(value))
+    } else {
+      meta.value = bufferUtils.bufferToMeta(value)
+    }
   } else if (meta.type === 'promise') {
-    // Add default handler to prevent unhandled rejections in main process
-    // Instead they should appear in the renderer process
-    value.then(function () {}, function () {})
-
-    meta.then = valueToMeta(sender, contextId, function (onFulfilled, onRejected) {
-      value.then(onFulfilled, onRejected)
-    })
+    meta.id = watchPromise(sender, contextId, value)
   } else if (meta.type === 'error') {
     meta.members = plainObjectToMeta(value)
 
@@ -117,6 +215,97 @@ let valueToMeta = function (sender, contextId, value, optimizeSimpleObject = fal
   return meta
 }
 
+// The IDs of the objects first referenced by the context in the result being
+// converted by |resultToMeta|, null when converting other values.
+let addedObjectIds = null
+
+// Convert |value|, the result of a chain, into meta data. The objects it
+// references count against the "maxObjects" limit, the ones referenced before
+// exceeding it are released again.
+const resultToMeta = function (sender, contextId, value, optimizeSimpleObject) {
+  if (config.options.maxObjects === null) {
+    return valueToMeta(sender, contextId, value, optimizeSimpleObject)
+  }
+
+  const previousIds = addedObjectIds
+  const ids = addedObjectIds = []
+  try {
+    return valueToMeta(sender, contextId, value, optimizeSimpleObject)
+  } catch (error) {
+    for (const id of ids) objectsRegistry.remove(sender, contextId, id)
+    throw error
+  } finally {
+    addedObjectIds = previousIds
+  }
+}
+
+// The commands whose values are returned by value, they can only be the last
+// command of a chain.
+const BY_VALUE_COMMANDS = ['pick', 'value']
+
+// Convert |value| into meta data by value: objects are copied with their own
+// enumerable properties instead of being referenced, down to |depth| levels.
+// Functions and the objects below |depth| are left out as undefined.
+const valueToPlainMeta = function (value, depth, references = typeUtils.createReferences()) {
+  const leafMeta = typeUtils.valueToMeta(value)
+  if (leafMeta) return leafMeta
+  if (typeof value === 'function') {
+    return { type: 'undefined' }
+  } else if (value === null || typeof value !== 'object') {
+    return { type: 'value', value }
+  } else if (bufferUtils.isBuffer(value)) {
+    return { type: 'buffer', value: bufferUtils.bufferToMeta(value) }
+  } else if (value instanceof Date) {
+    return { type: 'date', value: value.getTime() }
+  } else if (depth <= 0) {
+    return { type: 'undefined' }
+  }
+
+  let meta
+  if (Array.isArray(value)) {
+    meta = { type: 'array' }
+  } else if (value instanceof Map) {
+    meta = { type: 'map' }
+  } else if (value instanceof Set) {
+    meta = { type: 'set' }
+  } else {
+    meta = { type: 'plain-object' }
+  }
+  const reference = references.visit(value, meta)
+  if (reference) return reference
+
+  const memberToMeta = (member) => valueToPlainMeta(member, depth - 1, references)
+  if (meta.type === 'array') {
+    meta.members = value.map(memberToMeta)
+  } else if (meta.type === 'map') {
+    meta.members = Array.from(value, ([key, member]) => {
+      return { key: memberToMeta(key), value: memberToMeta(member) }
+    })
+  } else if (meta.type === 'set') {
+    meta.members = Array.from(value, memberToMeta)
+  } else {
+    meta.members = Object.keys(value)
+      .filter((name) => typeof value[name] !== 'function')
+      .map((name) => ({ name, value: memberToMeta(value[name]) }))
+  }
+  return meta
+}
+
+// Get the members of |target| listed in |paths|, the ones ending with "()"
+// are called instead, e.g. ['id', 'getTitle()'] gets {id, getTitle}.
+const pickMembers = function (event, contextId, target, paths) {
+  const picked = {}
+  for (const path of paths) {
+    const isCall = path.endsWith('()')
+    const name = isCall ? path.slice(0, -2) : path
+    if (isCall && typeof target[name] !== 'function') {
+      throw new TypeError(`${name} is not a function`)
+    }
+    picked[name] = isCall ? callFunction(event, contextId, target[name], target, []) : target[name]
+  }
+  return picked
+}
+
 // Convert object to meta by value.
 const plainObjectToMeta = function (obj) {
   return Object.getOwnPropertyNames(obj).map(function (name) {
@@ -127,14 +316,30 @@ const plainObjectToMeta = function (obj) {
   })
 }
 
+// The properties of errors that are sent separately.
+const EXCEPTION_PROPERTIES = [
+  'name', 'message', 'stack', 'cause'
+]
+
 // Convert Error into meta data.
 const exceptionToMeta = function (sender, contextId, error) {
-  return {
+  const isObject = error !== null && typeof error === 'object'
+  const meta = {
     type: 'exception',
-    message: error.message,
-    stack: error.stack || error,
-    cause: valueToMeta(sender, contextId, error.cause)
+    name: isObject ? error.name : undefined,
+    message: isObject ? error.message : String(error),
+    stack: (isObject && error.stack) || String(error),
+    members: [],
+    command: isObject ? failedCommands.get(error) : undefined,
+    cause: valueToMeta(sender, contextId, isObject ? error.cause : undefined)
+  }
+  if (isObject) {
+    for (const name of Object.getOwnPropertyNames(error)) {
+      if (EXCEPTION_PROPERTIES.includes(name)) continue
+      meta.members.push({ name, value: valueToMeta(sender, contextId, error[name]) })
+    }
   }
+  return meta
 }
 
 const throwRPCError = function (message) {
@@ -144,17 +349,316 @@ const throwRPCError = function (message) {
   throw error
 }
 
+// Emits "limit-exceeded" with {webContents, contextId, limit, value, max,
+// commands} when a renderer exceeds one of the limits in config.js, without
+// the commands for "maxObjects".
+const events = new EventEmitter()
+
+// Reject the chain if the context exceeds one of the limits.
+const checkLimits = function (event, contextId, commands) {
+  const contextKey = getContextKey(event.sender, contextId)
+  const isTracking = limits.isTracking(contextKey)
+  const exceeded = limits.check(contextKey, commands)
+  if (!isTracking && limits.isTracking(contextKey)) {
+    watchContext(event.sender, contextId)
+  }
+  if (exceeded === null) return
+
+  const {limit, value, max, message} = exceeded
+  events.emit('limit-exceeded', { webContents: event.sender, contextId, limit, value, max, commands })
+  throwRPCError(message)
+}
+
+// Reject referencing one more object or handle when the context is at the
+// "maxObjects" limit.
+const checkObjectLimit = function (sender, contextId) {
+  const exceeded = limits.checkObjects(countReferences(sender, contextId))
+  if (exceeded === null) return
+
+  const {limit, value, max, message} = exceeded
+  events.emit('limit-exceeded', { webContents: sender, contextId, limit, value, max })
+  throwRPCError(message)
+}
+
+const removeRemoteListenersAndLogWarning = (sender, meta, callIntoRenderer) => {
+  let message = `Attempting to call a function in a renderer window that has been closed or released.` +
+    `\nFunction provided here: ${meta.location}`
+
+  if (sender instanceof EventEmitter) {
+    const remoteEvents = sender.eventNames().filter((eventName) => {
+      return sender.listeners(eventName).includes(callIntoRenderer)
+    })
+
+    if (remoteEvents.length > 0) {
+      message += `\nRemote event names: ${remoteEvents.join(', ')}`
+      remoteEvents.forEach((eventName) => {
+        sender.removeListener(eventName, callIntoRenderer)
+      })
+    }
+  }
+
+  console.warn(message)
+}
+
+// Forget the renderer functions of a released context, calling them would
+// only log a warning from now on.
+const releaseRendererFunctions = function (sender, contextId) {
+  const contextKey = getContextKey(sender, contextId)
+  const ids = contextFunctions.get(contextKey)
+  if (!ids) return
+
+  const functions = rendererFunctions.get(contextKey)
+  for (const id of ids.keys()) {
+    if (functions.has(id)) {
+      v8Util.setHiddenValue(functions.get(id), 'released', true)
+      functions.remove(id)
+    }
+  }
+  rendererFunctions.delete(contextKey)
+  contextFunctions.delete(contextKey)
+}
+
+// Return the proxies of the renderer functions passed by the context.
+// Note that the delete listener is not created in |unwrapArgs|, where it would
+// share the scope of the proxies and keep them alive.
+const getRendererFunctions = function (sender, contextId) {
+  const contextKey = getContextKey(sender, contextId)
+  if (!rendererFunctions.has(contextKey)) {
+    rendererFunctions.set(contextKey, v8Util.createIDWeakMap())
+    contextFunctions.set(contextKey, new Map())
+    watchContext(sender, contextId)
+  }
+  return rendererFunctions.get(contextKey)
+}
+
+// Tell the renderer to release a function whose proxy has been garbage
+// collected, unless it has been passed again since.
+const releaseRendererFunction = function (sender, contextId, id) {
+  const contextKey = getContextKey(sender, contextId)
+  const ids = contextFunctions.get(contextKey)
+  if (!ids || !ids.has(id) || rendererFunctions.get(contextKey).has(id)) return
+
+  const generation = ids.get(id)
+  ids.delete(id)
+  if (!sender.isDestroyed()) {
+    sender.send('ELECTRON_RENDERER_LAZY_REMOTE_RELEASE_CALLBACK', contextId, id, generation)
+  }
+}
+
+// Forward the events of the emitter that |commands| evaluate to, until the
+// renderer unsubscribes or the context is released.
+const subscribe = function (event, contextId, id, commands, eventName) {
+  const sender = event.sender
+  checkLimits(event, contextId, commands)
+  const emitter = runCommands(event, contextId, commands)
+  if (emitter == null || typeof emitter.on !== 'function') {
+    throwRPCError(`Cannot subscribe to event '${eventName}' of an object that is not an EventEmitter`)
+  }
+
+  const listener = function (...args) {
+    if (sender.isDestroyed()) {
+      unsubscribe(sender, contextId, id)
+    } else {
+      sender.send('ELECTRON_RENDERER_LAZY_REMOTE_EVENT', contextId, id, valueToMeta(sender, contextId, args))
+    }
+  }
+  emitter.on(eventName, listener)
+
+  const contextKey = getContextKey(sender, contextId)
+  if (!contextSubscriptions.has(contextKey)) {
+    contextSubscriptions.set(contextKey, new Map())
+    watchContext(sender, contextId)
+  }
+  contextSubscriptions.get(contextKey).set(id, { emitter, eventName, listener })
+}
+
+const unsubscribe = function (sender, contextId, id) {
+  const subscriptions = contextSubscriptions.get(getContextKey(sender, contextId))
+  if (!subscriptions || !subscriptions.has(id)) return
+
+  const {emitter, eventName, listener} = subscriptions.get(id)
+  emitter.removeListener(eventName, listener)
+  subscriptions.delete(id)
+}
+
+const releaseSubscriptions = function (sender, contextId) {
+  const contextKey = getContextKey(sender, contextId)
+  const subscriptions = contextSubscriptions.get(contextKey)
+  if (!subscriptions) return
+
+  for (const {emitter, eventName, listener} of subscriptions.values()) {
+    emitter.removeListener(eventName, listener)
+  }
+  contextSubscriptions.delete(contextKey)
+}
+
+// Send the outcome of |promise| to the renderer once it settles, unless the
+// context is released before that. Return the ID the renderer settles its own
+// promise by.
+// Note that the rejections are handled here, so they appear in the renderer
+// instead of as unhandled rejections in the main process.
+const watchPromise = function (sender, contextId, promise) {
+  const contextKey = getContextKey(sender, contextId)
+  if (!contextPromises.has(contextKey)) {
+    contextPromises.set(contextKey, new Set())
+    watchContext(sender, contextId)
+  }
+  const id = ++nextPromiseId
+  contextPromises.get(contextKey).add(id)
+
+  const settle = (getMeta) => {
+    const ids = contextPromises.get(contextKey)
+    if (!ids || !ids.delete(id) || sender.isDestroyed()) return
+    let meta
+    try {
+      meta = getMeta()
+    } catch (error) {
+      meta = exceptionToMeta(sender, contextId, error)
+    }
+    sender.send('ELECTRON_RENDERER_LAZY_REMOTE_PROMISE_SETTLED', contextId, id, meta)
+  }
+  promise.then((value) => {
+    settle(() => resultToMeta(sender, contextId, value))
+  }, (error) => {
+    settle(() => exceptionToMeta(sender, contextId, error))
+  })
+  return id
+}
+
+// Keep a copy of |value| for the renderer to read in chunks, and return the ID
+// it reads by.
+const addChunkedBuffer = function (sender, contextId, value) {
+  const contextKey = getContextKey(sender, contextId)
+  if (!contextBuffers.has(contextKey)) {
+    contextBuffers.set(contextKey, new Map())
+    watchContext(sender, contextId)
+  }
+  const id = ++nextBufferId
+  contextBuffers.get(contextKey).set(id, bufferUtils.copyToBuffer(value))
+  return id
+}
+
+// Send the chunk of the buffer starting at |offset|, the buffer is dropped
+// after its last chunk is sent.
+const sendBufferChunk = function (sender, contextId, id, offset) {
+  const buffers = contextBuffers.get(getContextKey(sender, contextId))
+  if (!buffers || !buffers.has(id) || sender.isDestroyed()) return
+
+  const data = buffers.get(id)
+  const chunk = data.subarray(offset, offset + config.options.chunkSize)
+  if (offset + chunk.length >= data.length) buffers.delete(id)
+  sender.send('ELECTRON_RENDERER_LAZY_REMOTE_BUFFER_CHUNK', contextId, id, offset, chunk)
+}
+
+// Release the context when its render view is deleted, the renderer may not
+// get the chance to release it itself. Each context gets one listener, which
+// |releaseContext| removes.
+const watchContext = function (sender, contextId) {
+  const contextKey = getContextKey(sender, contextId)
+  if (contextDeleteListeners.has(contextKey)) return
+
+  // contextId => ${processHostId}-${contextCount}
+  const processHostId = contextId.split('-')[0]
+  const listener = (event, deletedProcessHostId) => {
+    if (deletedProcessHostId &&
+        deletedProcessHostId.toString() === processHostId) {
+      releaseContext(sender, contextId)
+    }
+  }
+  contextDeleteListeners.set(contextKey, listener)
+  sender.on('render-view-deleted', listener)
+}
+
+// Release everything kept for the context.
+const releaseContext = function (sender, contextId) {
+  const contextKey = getContextKey(sender, contextId)
+  const listener = contextDeleteListeners.get(contextKey)
+  if (listener) {
+    sender.removeListener('render-view-deleted', listener)
+    contextDeleteListeners.delete(contextKey)
+  }
+
+  objectsRegistry.clear(sender, contextId)
+  releaseRendererFunctions(sender, contextId)
+  contextHandles.delete(contextKey)
+  contextPromises.delete(contextKey)
+  contextBuffers.delete(contextKey)
+  contextPendingReplies.delete(contextKey)
+  limits.release(contextKey)
+  releaseSubscriptions(sender, contextId)
+}
+
+// Keep |value| for a chain handle and return the handle's ID.
+const addHandle = function (sender, contextId, value) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    throwRPCError('Only objects and functions can be kept for handles')
+  }
+  checkObjectLimit(sender, contextId)
+  const contextKey = getContextKey(sender, contextId)
+  if (!contextHandles.has(contextKey)) {
+    contextHandles.set(contextKey, { webContentsId: sender.id, contextId, values: new Map() })
+    watchContext(sender, contextId)
+  }
+  const id = ++nextHandleId
+  contextHandles.get(contextKey).values.set(id, value)
+  return id
+}
+
+const getHandle = function (sender, contextId, id) {
+  const handles = contextHandles.get(getContextKey(sender, contextId))
+  if (!handles || !handles.values.has(id)) {
+    throwRPCError(`Cannot use missing handle ${id}`)
+  }
+  return handles.values.get(id)
+}
+
+// Return how many remote objects and handles the context references.
+const countReferences = function (sender, contextId) {
+  const handles = contextHandles.get(getContextKey(sender, contextId))
+  return objectsRegistry.count(sender, contextId) + (handles ? handles.values.size : 0)
+}
+
 // Convert array of meta data from renderer into array of real values.
-const unwrapArgs = function (sender, contextId, args) {
+// The |references| collects the containers by their IDs, so that reference
+// metas can be resolved to them.
+const unwrapArgs = function (event, contextId, args, references = []) {
+  const sender = event.sender
   const metaToValue = function (meta) {
     let i, len, member, ref, returnValue
+    const track = (value) => {
+      if (meta.ref != null) references[meta.ref] = value
+      return value
+    }
+    if (typeUtils.isMeta(meta)) {
+      return typeUtils.metaToValue(meta)
+    }
     switch (meta.type) {
       case 'value':
         return meta.value
-      case 'remote-object':
-        return objectsRegistry.get(meta.id)
-      case 'array':
-        return unwrapArgs(sender, contextId, meta.value)
+      case 'remote-object': {
+        const object = objectsRegistry.getOwned(event.sender, contextId, meta.id)
+        if (object == null) {
+          throwRPCError(`Cannot pass missing remote object ${meta.id}`)
+        }
+        return object
+      }
+      case 'array': {
+        const ret = track([])
+        for (member of meta.value) ret.push(metaToValue(member))
+        return ret
+      }
+      case 'map': {
+        const ret = track(new Map())
+        for (member of meta.members) ret.set(metaToValue(member.key), metaToValue(member.value))
+        return ret
+      }
+      case 'set': {
+        const ret = track(new Set())
+        for (member of meta.members) ret.add(metaToValue(member))
+        return ret
+      }
+      case 'reference':
+        return references[meta.ref]
       case 'buffer':
         return bufferUtils.metaToBuffer(meta.value)
       case 'date':
@@ -164,7 +668,7 @@ const unwrapArgs = function (sender, contextId, args) {
           then: metaToValue(meta.then)
         })
       case 'object': {
-        let ret = {}
+        let ret = track({})
         Object.defineProperty(ret.constructor, 'name', { value: meta.name })
 
         ref = meta.members
@@ -174,13 +678,41 @@ const unwrapArgs = function (sender, contextId, args) {
         }
         return ret
       }
+      case 'lazy-object':
+        // An uncommitted chain, evaluate it in place. It has been checked with
+        // the chain it is passed to.
+        return runCheckedCommands(event, contextId, meta.commands)
       case 'function-with-return-value':
         returnValue = metaToValue(meta.value)
         return function () {
           return returnValue
         }
-      case 'function': 
-        throw new TypeError(`Unsupported type: function`)
+      case 'function': {
+        // meta.id can be the same in different contexts, even in the contexts
+        // of the same webContents after a reload.
+        const functions = getRendererFunctions(sender, contextId)
+        contextFunctions.get(getContextKey(sender, contextId)).set(meta.id, meta.generation)
+
+        // Cache the callbacks in renderer.
+        if (functions.has(meta.id)) {
+          return functions.get(meta.id)
+        }
+
+        let callIntoRenderer = function (...args) {
+          if (!sender.isDestroyed() && !v8Util.getHiddenValue(callIntoRenderer, 'released')) {
+            sender.send('ELECTRON_RENDERER_LAZY_REMOTE_CALLBACK', contextId, meta.id, valueToMeta(sender, contextId, args))
+          } else {
+            removeRemoteListenersAndLogWarning(this, meta, callIntoRenderer)
+          }
+        }
+        Object.defineProperty(callIntoRenderer, 'length', { value: meta.length })
+
+        functions.set(meta.id, callIntoRenderer)
+        if (rendererFunctionsFreer !== null) {
+          rendererFunctionsFreer.register(callIntoRenderer, { sender, contextId, id: meta.id })
+        }
+        return callIntoRenderer
+      }
       default:
         throw new TypeError(`Unknown type: ${meta.type}`)
     }
@@ -188,30 +720,63 @@ const unwrapArgs = function (sender, contextId, args) {
   return args.map(metaToValue)
 }
 
+// The reply of the commit being run, see |createReply|.
+let currentReply = null
+
+// Return the reply of a commit, which passes the first meta data sent to it
+// to |send|. The commit sets |waitsForCallback| when it calls an asynchronous
+// function without a callback, whose callback sends the reply instead.
+const createReply = function (send) {
+  return {
+    waitsForCallback: false,
+    sent: false,
+    send (meta) {
+      if (this.sent) return
+      this.sent = true
+      send(meta)
+    }
+  }
+}
+
+// Return what |run| returns, with |reply| as the reply of the commit being run.
+const runWithReply = function (reply, run) {
+  const previousReply = currentReply
+  currentReply = reply
+  try {
+    return run()
+  } finally {
+    currentReply = previousReply
+  }
+}
+
 // Call a function and send reply asynchronously if it's a an asynchronous
 // style function and the caller didn't pass a callback.
+// Errors thrown by |func| are passed on as is, so that the renderer gets their
+// class and properties, and the failed command tells which function it was.
 const callFunction = function (event, contextId, func, caller, args) {
-  let err, funcMarkedAsync, funcName, funcPassedCallback, ref, ret
-  funcMarkedAsync = v8Util.getHiddenValue(func, 'asynchronous')
-  funcPassedCallback = typeof args[args.length - 1] === 'function'
-  try {
-    if (funcMarkedAsync && !funcPassedCallback) {
-      args.push(function (ret) {
-        event.returnValue = valueToMeta(event.sender, contextId, ret, true)
-      })
-      return func.apply(caller, args)
-    } else {
-      return func.apply(caller, args)
-    }
-  } catch (error) {
-    // Catch functions thrown further down in function invocation and wrap
-    // them with the function name so it's easier to trace things like
-    // `Error processing argument -1.`
-    funcName = ((ref = func.name) != null) ? ref : 'anonymous'
-    err = new Error(`Could not call remote function '${funcName}'. Check that the function signature is correct. Underlying error: ${error.message}`)
-    err.cause = error
-    throw err
+  const funcMarkedAsync = v8Util.getHiddenValue(func, 'asynchronous')
+  const funcPassedCallback = typeof args[args.length - 1] === 'function'
+  if (funcMarkedAsync && !funcPassedCallback) {
+    const reply = currentReply
+    if (reply !== null) reply.waitsForCallback = true
+    args.push(function (ret) {
+      // The commit has already replied, e.g. it timed out, so |ret| must not
+      // be registered for the renderer.
+      if (reply !== null && reply.sent) return
+      let meta
+      try {
+        meta = resultToMeta(event.sender, contextId, ret, true)
+      } catch (error) {
+        meta = exceptionToMeta(event.sender, contextId, error)
+      }
+      if (reply !== null) {
+        reply.send(meta)
+      } else {
+        event.returnValue = meta
+      }
+    })
   }
+  return func.apply(caller, args)
 }
 
 const handleMember = function (target, prop) {
@@ -223,138 +788,634 @@ const handleMember = function (target, prop) {
 }
 
 const handleFunction = function (event, contextId, method, target, args) {
-  args = unwrapArgs(event.sender, contextId, args)
+  args = unwrapArgs(event, contextId, args)
   return callFunction(event, contextId, method, target, args)
 }
 
 const handleConstructor = function (event, contextId, constructor, args) {
-  args = unwrapArgs(event.sender, contextId, args)
+  args = unwrapArgs(event, contextId, args)
   // Call new with array of arguments.
   // http://stackoverflow.com/questions/1606797/use-of-apply-with-new-operator-is-this-possible
   return new (Function.prototype.bind.apply(constructor, [null].concat(args)))()
 }
 
-ipcMain.on('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', function (event, contextId, commands) {
-  try {
-    let ret, optimize = false
-    for (let i = 0; i < commands.length; i++) {
-      const command = commands[i]
-      switch (command.type) {
-        case 'member_get':
-          ret = handleMember(ret, command.name)
-          break
-        case 'member_set': {
-          const value = unwrapArgs(event.sender, contextId, command.value)[0]
-          ret[command.name] = value
-          ret = null
-          break
-        }
-        case 'member_call':
-          ret = handleFunction(event, contextId, ret[command.name], ret, command.args)
-          break
-        case 'member_constructor': {
-          const constructor = ret[command.name]
-          ret = handleConstructor(event, contextId, constructor, command.args)
-          break
-        }
+const isAllowed = function (names, name) {
+  return names === null || names.includes(name)
+}
 
-        case 'remote_object_get': {
-          const obj = objectsRegistry.get(command.id)
-          if (obj == null) {
-            throwRPCError(`Cannot get property '${command.name}' on missing remote object ${command.id}`)
-          }
-          ret = handleMember(obj, command.name)
-          break
-        }
-        case 'remote_object_set': {
-          const obj = objectsRegistry.get(command.id)
-          if (obj == null) {
-            throwRPCError(`Cannot set property '${command.name}' on missing remote object ${command.id}`)
-          }
-          const value = unwrapArgs(event.sender, contextId, command.value)[0]
-          obj[command.name] = value
-          ret = null
-          break
-        }
-        case 'remote_object_call': {
-          const obj = objectsRegistry.get(command.id)
-          if (obj == null) {
-            throwRPCError(`Cannot call function '${command.name}' on missing remote object ${command.id}`)
-          }
-          ret = handleFunction(event, contextId, obj[command.name], obj, command.args)
-          break
-        }
-        case 'remote_object_constructor': {
-          const obj = objectsRegistry.get(command.id)
-          if (obj == null) {
-            throwRPCError(`Cannot call constructor '${command.name}' on missing remote object ${command.id}`)
-          }
-          const constructor = obj[command.name]
-          ret = handleConstructor(event, contextId, constructor, command.args)
-          break
-        }
+// The members that lead to prototypes or the Function constructor, from where
+// a chain could run any code in the main process.
+const UNSAFE_MEMBERS = [
+  'constructor', 'prototype', '__proto__',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]
 
-        case 'function_call': {
-          let func
-          if (command.id == null) {
-            func = ret
-          } else {
-            func = objectsRegistry.get(command.id)
-            if (func == null) {
-              throwRPCError(`Cannot call function on missing remote object ${command.id}`)
-            }
-          }
-          ret = handleFunction(event, contextId, func, global, command.args)
-          break
-        }
-        case 'constructor_call': {
-          let constructor
-          if (command.id == null) {
-            constructor = ret
-          } else {
-            constructor = objectsRegistry.get(command.id)
-            if (constructor == null) {
-              throwRPCError(`Cannot call constructor on missing remote object ${command.id}`)
-            }
-          }
-          ret = handleConstructor(event, contextId, constructor, command.args)
-          break
-        }
+// The commands that get, set or call a member by |command.name|.
+const MEMBER_COMMANDS = [
+  'member_get', 'member_set', 'member_call', 'member_constructor',
+  'remote_object_get', 'remote_object_set', 'remote_object_call', 'remote_object_constructor'
+]
 
-        case 'get_builtin': {
-          ret = electron[command.module]
-          break
-        }
-        case 'get_global': {
-          ret = global[command.name]
-          break
-        }
-        case 'get_current_window': {
-          ret = event.sender.getOwnerBrowserWindow()
-          break
-        }
-        case 'get_current_web_contents': {
-          ret = event.sender
-          break
-        }
-        case 'require': {
-          ret = process.mainModule.require(command.module)
-          break
+// The commands whose |name| or |module| is used as a key, which has to be a
+// string: other values such as ['constructor'] would only turn into one when
+// used, after the checks.
+const NAME_COMMANDS = MEMBER_COMMANDS.concat('get_global', 'get_service')
+const MODULE_COMMANDS = ['require', 'get_builtin']
+
+const checkMemberName = function (name) {
+  if (!config.options.allowUnsafeMembers && UNSAFE_MEMBERS.includes(name)) {
+    throwRPCError(`Accessing member '${name}' is not allowed`)
+  }
+}
+
+// Tell the renderers the protocol version and the names they can reach.
+const getHandshake = function () {
+  const {options} = config
+  return {
+    version: PROTOCOL_VERSION,
+    builtins: builtinNames.filter((name) => isAllowed(options.allowBuiltins, name)),
+    modules: options.allowModules,
+    globals: options.allowGlobals,
+    services: Array.from(services.keys())
+  }
+}
+
+// Describe a command for error messages, e.g.
+// "member_call getBounds on remote object 12".
+const describeCommand = function (command) {
+  let description = command.type
+  const name = command.name || command.module
+  if (name != null) description += ` ${name}`
+  if (command.id != null) description += ` on remote object ${command.id}`
+  return description
+}
+
+// The commands that errors are thrown from.
+// (error) => {index, description}
+const failedCommands = new WeakMap()
+
+// Remember the command that |error| is thrown from. Errors thrown from chains
+// nested in arguments keep their innermost command.
+const setFailedCommand = function (error, index, command) {
+  if (error !== null && typeof error === 'object' && !failedCommands.has(error)) {
+    failedCommands.set(error, { index, description: describeCommand(command) })
+  }
+}
+
+// Reject the commands that the access policy does not allow, including the
+// chains nested in their arguments, before any of them is run.
+const checkCommands = function (event, commands) {
+  const {options} = config
+  if (!Array.isArray(commands)) {
+    throwRPCError('The commands must be an array')
+  }
+  if (options.filter && options.filter(event.sender, commands) === false) {
+    throwRPCError('The commands are rejected by the filter')
+  }
+
+  commands.forEach((command, index) => {
+    try {
+      checkCommand(command, commands[index + 1])
+      checkNestedChains(event, command)
+    } catch (error) {
+      setFailedCommand(error, index, command)
+      throw error
+    }
+  })
+}
+
+// Check the chains nested in the metas of the arguments and values of
+// |command|.
+const checkNestedChains = function (event, command) {
+  const visit = (value) => {
+    if (value === null || typeof value !== 'object' ||
+        ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return
+    }
+    if (value.type === 'lazy-object') {
+      checkCommands(event, value.commands)
+      return
+    }
+    for (const key of Object.keys(value)) visit(value[key])
+  }
+  visit(command.args)
+  visit(command.value)
+}
+
+// |next| is the command after |command|, if any.
+const checkCommand = function (command, next) {
+  const {options} = config
+  if (command === null || typeof command !== 'object') {
+    throwRPCError('The commands must be objects')
+  }
+  if (NAME_COMMANDS.includes(command.type) && typeof command.name !== 'string') {
+    throwRPCError(`The name of a ${command.type} command must be a string`)
+  }
+  if (MODULE_COMMANDS.includes(command.type) && typeof command.module !== 'string') {
+    throwRPCError(`The module of a ${command.type} command must be a string`)
+  }
+  if (MEMBER_COMMANDS.includes(command.type)) {
+    checkMemberName(command.name)
+  }
+  switch (command.type) {
+    case 'pick':
+    case 'value':
+      if (next) {
+        throwRPCError(`The ${command.type} command can only be the last one`)
+      }
+      if (!Number.isInteger(command.depth) || command.depth < 0) {
+        throwRPCError('The depth must be a non-negative integer')
+      }
+      if (command.type === 'pick' &&
+          !(Array.isArray(command.paths) && command.paths.every((path) => typeof path === 'string'))) {
+        throwRPCError('The paths to pick must be an array of strings')
+      }
+      if (command.type === 'pick') {
+        command.paths.forEach((path) => checkMemberName(path.replace(/\(\)$/, '')))
+      }
+      break
+    case 'get_service': {
+      const service = services.get(command.name)
+      if (!service) {
+        throwRPCError(`Service '${command.name}' is not exposed`)
+      }
+      if (service.methods === null) break
+      if (!next || !SERVICE_MEMBER_COMMANDS.includes(next.type)) {
+        throwRPCError(`Service '${command.name}' can only be used through its allowed methods`)
+      }
+      if (!service.methods.includes(next.name)) {
+        throwRPCError(`Method '${next.name}' of service '${command.name}' is not allowed`)
+      }
+      break
+    }
+    case 'require':
+      if (!isAllowed(options.allowModules, command.module)) {
+        throwRPCError(`Requiring module '${command.module}' is not allowed`)
+      }
+      break
+    case 'get_global':
+      if (!isAllowed(options.allowGlobals, command.name)) {
+        throwRPCError(`Getting global '${command.name}' is not allowed`)
+      }
+      break
+    case 'get_builtin':
+      if (!isAllowed(options.allowBuiltins, command.module)) {
+        throwRPCError(`Getting builtin module '${command.module}' is not allowed`)
+      }
+      break
+  }
+}
+
+// Run a command on |ret|, the value of the previous command, and return the
+// new value.
+const runCommand = function (event, contextId, command, ret) {
+  switch (command.type) {
+    case 'member_get':
+      ret = handleMember(ret, command.name)
+      break
+    case 'member_set': {
+      const value = unwrapArgs(event, contextId, command.value)[0]
+      ret[command.name] = value
+      ret = null
+      break
+    }
+    case 'member_call':
+      ret = handleFunction(event, contextId, ret[command.name], ret, command.args)
+      break
+    case 'member_constructor': {
+      const constructor = ret[command.name]
+      ret = handleConstructor(event, contextId, constructor, command.args)
+      break
+    }
+
+    case 'remote_object_get': {
+      const obj = objectsRegistry.getOwned(event.sender, contextId, command.id)
+      if (obj == null) {
+        throwRPCError(`Cannot get property '${command.name}' on missing remote object ${command.id}`)
+      }
+      ret = handleMember(obj, command.name)
+      break
+    }
+    case 'remote_object_set': {
+      const obj = objectsRegistry.getOwned(event.sender, contextId, command.id)
+      if (obj == null) {
+        throwRPCError(`Cannot set property '${command.name}' on missing remote object ${command.id}`)
+      }
+      const value = unwrapArgs(event, contextId, command.value)[0]
+      obj[command.name] = value
+      ret = null
+      break
+    }
+    case 'remote_object_call': {
+      const obj = objectsRegistry.getOwned(event.sender, contextId, command.id)
+      if (obj == null) {
+        throwRPCError(`Cannot call function '${command.name}' on missing remote object ${command.id}`)
+      }
+      ret = handleFunction(event, contextId, obj[command.name], obj, command.args)
+      break
+    }
+    case 'remote_object_constructor': {
+      const obj = objectsRegistry.getOwned(event.sender, contextId, command.id)
+      if (obj == null) {
+        throwRPCError(`Cannot call constructor '${command.name}' on missing remote object ${command.id}`)
+      }
+      const constructor = obj[command.name]
+      ret = handleConstructor(event, contextId, constructor, command.args)
+      break
+    }
+
+    case 'function_call': {
+      let func
+      if (command.id == null) {
+        func = ret
+      } else {
+        func = objectsRegistry.getOwned(event.sender, contextId, command.id)
+        if (func == null) {
+          throwRPCError(`Cannot call function on missing remote object ${command.id}`)
         }
       }
-      if (command.type === 'function_call' || command.type === 'member_call') {
-        optimize = true
+      // A remote function that is referenced but not called.
+      if (command.args == null) {
+        ret = func
+        break
+      }
+      ret = handleFunction(event, contextId, func, global, command.args)
+      break
+    }
+    case 'constructor_call': {
+      let constructor
+      if (command.id == null) {
+        constructor = ret
       } else {
-        optimize = false
+        constructor = objectsRegistry.getOwned(event.sender, contextId, command.id)
+        if (constructor == null) {
+          throwRPCError(`Cannot call constructor on missing remote object ${command.id}`)
+        }
       }
+      ret = handleConstructor(event, contextId, constructor, command.args)
+      break
+    }
+
+    case 'handle': {
+      ret = getHandle(event.sender, contextId, command.id)
+      break
+    }
+    case 'get_builtin': {
+      ret = electron[command.module]
+      break
+    }
+    case 'get_global': {
+      ret = global[command.name]
+      break
+    }
+    case 'get_service': {
+      ret = services.get(command.name).object
+      break
+    }
+    case 'pick': {
+      ret = pickMembers(event, contextId, ret, command.paths)
+      break
+    }
+    case 'value': {
+      break
+    }
+    case 'get_current_window': {
+      ret = event.sender.getOwnerBrowserWindow()
+      break
+    }
+    case 'get_current_web_contents': {
+      ret = event.sender
+      break
+    }
+    case 'require': {
+      ret = process.mainModule.require(command.module)
+      break
+    }
+  }
+  return ret
+}
+
+// Run the commands of a lazy chain and return the value of the last one.
+const runCommands = function (event, contextId, commands) {
+  checkCommands(event, commands)
+  return runCheckedCommands(event, contextId, commands)
+}
+
+// Same as above, for the commands checked already.
+const runCheckedCommands = function (event, contextId, commands) {
+  let ret
+  for (let i = 0; i < commands.length; i++) {
+    try {
+      ret = runCommand(event, contextId, commands[i], ret)
+    } catch (error) {
+      setFailedCommand(error, i, commands[i])
+      throw error
+    }
+  }
+  return ret
+}
+
+// Results of function calls are sent by value when they are simple objects.
+const isCallCommand = function (command) {
+  return command != null &&
+    (command.type === 'function_call' || command.type === 'member_call')
+}
+
+// Report the commit to the hooks, return null if nobody is interested in it.
+const startCommit = function (event, contextId, commands) {
+  const {options} = config
+  if (!options.onCommit && !options.onResult && !options.onError &&
+      options.slowCommitThreshold === null) {
+    return null
+  }
+
+  const info = {
+    webContents: event.sender,
+    contextId,
+    commands,
+    size: JSON.stringify(commands).length
+  }
+  callHook(options, 'onCommit', info)
+  info.start = Date.now()
+  return info
+}
+
+const endCommit = function (info, hookName, outcome) {
+  if (info === null) return
+
+  const duration = Date.now() - info.start
+  const threshold = config.options.slowCommitThreshold
+  if (threshold !== null && duration > threshold) {
+    console.warn(`lazy-remote: ${describeCommands(info.commands)} from WebContents ${info.webContents.id} took ${duration}ms`)
+  }
+  callHook(config.options, hookName, Object.assign({}, info, { duration }, outcome))
+}
+
+// Convert |ret|, the value of the commands, into meta data.
+const finishCommit = function (event, contextId, commands, info, ret) {
+  try {
+    const last = commands[commands.length - 1]
+    let meta
+    if (BY_VALUE_COMMANDS.includes(last.type)) {
+      // The picked object itself is not counted in the depth.
+      meta = valueToPlainMeta(ret, last.type === 'pick' ? last.depth + 1 : last.depth)
+    } else {
+      meta = resultToMeta(event.sender, contextId, ret, isCallCommand(last))
     }
-    event.returnValue = valueToMeta(event.sender, contextId, ret, optimize)
+    endCommit(info, 'onResult', { result: ret })
+    return meta
   } catch (error) {
-    event.returnValue = exceptionToMeta(event.sender, contextId, error)
+    endCommit(info, 'onError', { error })
+    return exceptionToMeta(event.sender, contextId, error)
+  }
+}
+
+// Run the commands and convert the result into meta data.
+const commit = function (event, contextId, commands) {
+  const info = startCommit(event, contextId, commands)
+  let ret
+  try {
+    checkLimits(event, contextId, commands)
+    ret = runCommands(event, contextId, commands)
+  } catch (error) {
+    endCommit(info, 'onError', { error })
+    return exceptionToMeta(event.sender, contextId, error)
+  }
+  return finishCommit(event, contextId, commands, info, ret)
+}
+
+// Same as above, but pass the meta data to |reply|. When the value is a
+// promise, it is waited for before replying, and the renderer can cancel the
+// reply in the meantime.
+const commitAsync = function (event, contextId, requestId, commands, reply) {
+  const info = startCommit(event, contextId, commands)
+  // The reply is pending from now on, so the callback of an asynchronous
+  // function can not reply after the renderer cancels the commit.
+  addPendingReply(event.sender, contextId, requestId)
+  const callbackReply = createReply((meta) => {
+    if (removePendingReply(event.sender, contextId, requestId)) reply(meta)
+  })
+  let ret
+  try {
+    checkLimits(event, contextId, commands)
+    ret = runWithReply(callbackReply, () => runCommands(event, contextId, commands))
+  } catch (error) {
+    endCommit(info, 'onError', { error })
+    if (!removePendingReply(event.sender, contextId, requestId)) return
+    reply(exceptionToMeta(event.sender, contextId, error))
+    return
+  }
+  if (callbackReply.waitsForCallback) return
+  if (!isPromise(ret)) {
+    if (!removePendingReply(event.sender, contextId, requestId)) return
+    reply(finishCommit(event, contextId, commands, info, ret))
+    return
+  }
+
+  ret.then((value) => {
+    if (!removePendingReply(event.sender, contextId, requestId)) return
+    reply(finishCommit(event, contextId, commands, info, value))
+  }, (error) => {
+    if (!removePendingReply(event.sender, contextId, requestId)) return
+    endCommit(info, 'onError', { error })
+    reply(exceptionToMeta(event.sender, contextId, error))
+  })
+}
+
+const addPendingReply = function (sender, contextId, requestId) {
+  const contextKey = getContextKey(sender, contextId)
+  if (!contextPendingReplies.has(contextKey)) {
+    contextPendingReplies.set(contextKey, new Set())
+    watchContext(sender, contextId)
+  }
+  contextPendingReplies.get(contextKey).add(requestId)
+}
+
+// Return false if the reply is no longer pending, i.e. it has been cancelled
+// or the context has been released.
+const removePendingReply = function (sender, contextId, requestId) {
+  const requestIds = contextPendingReplies.get(getContextKey(sender, contextId))
+  return requestIds !== undefined && requestIds.delete(requestId)
+}
+
+// The timeout of a synchronous commit, the shorter of |timeout| passed by the
+// renderer and the "timeout" option.
+const getSyncTimeout = function (timeout) {
+  const timeouts = [timeout, config.options.timeout].filter((value) => typeof value === 'number')
+  return timeouts.length > 0 ? Math.min(...timeouts) : null
+}
+
+// Reply to a synchronous message with the meta data returned by |run|. When
+// an asynchronous function is called without a callback, the reply is sent by
+// the callback instead, or is a TimeoutError after |timeout| milliseconds.
+const replySync = function (event, contextId, commands, timeout, run) {
+  let timer = null
+  const reply = createReply((meta) => {
+    clearTimeout(timer)
+    event.returnValue = meta
+  })
+
+  const meta = runWithReply(reply, run)
+  if (!reply.waitsForCallback || meta.type === 'exception') {
+    reply.send(meta)
+    return
+  }
+
+  timeout = getSyncTimeout(timeout)
+  if (timeout !== null && !reply.sent) {
+    timer = setTimeout(() => {
+      const error = new Error(`${describeCommands(commands)} timed out after ${timeout}ms`)
+      error.name = 'TimeoutError'
+      reply.send(exceptionToMeta(event.sender, contextId, error))
+    }, timeout)
+  }
+}
+
+// Serve the lazy chains sent through |transport|, which has the same interface
+// as ipcMain. The sender of events should look like a WebContents, see
+// lib/common/transports/sender.js.
+exports.listen = function (transport) {
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_HANDSHAKE', function (event) {
+    event.returnValue = getHandshake()
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_HANDSHAKE_ASYNC', function (event, contextId) {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send('ELECTRON_RENDERER_LAZY_REMOTE_HANDSHAKE_REPLY', contextId, getHandshake())
+    }
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', function (event, contextId, commands, timeout) {
+    replySync(event, contextId, commands, timeout, () => commit(event, contextId, commands))
+  })
+
+  // Commit several independent chains at once, each of them gets its own
+  // result or exception.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_BATCH', function (event, contextId, commandLists) {
+    event.returnValue = commandLists.map((commands) => commit(event, contextId, commands))
+  })
+
+  // Same as the single commit, but the result is sent back with the request ID
+  // so the renderer does not have to block on the reply.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_ASYNC', function (event, contextId, requestId, commands) {
+    commitAsync(event, contextId, requestId, commands, (meta) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('ELECTRON_RENDERER_LAZY_REMOTE_COMMIT_REPLY', contextId, requestId, meta)
+      }
+    })
+  })
+
+  // The renderer has timed out or aborted an async commit. A reply that has
+  // been sent already is released by the renderer instead.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_CANCEL', function (event, contextId, requestId) {
+    removePendingReply(event.sender, contextId, requestId)
+  })
+
+  // Run the commands and keep the value, so that later chains can start from
+  // it with a "handle" command instead of running the commands again.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_CREATE_HANDLE', function (event, contextId, commands) {
+    try {
+      checkLimits(event, contextId, commands)
+      const ret = runCommands(event, contextId, commands)
+      event.returnValue = { type: 'handle', id: addHandle(event.sender, contextId, ret) }
+    } catch (error) {
+      event.returnValue = exceptionToMeta(event.sender, contextId, error)
+    }
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_SUBSCRIBE', function (event, contextId, id, commands, eventName) {
+    try {
+      subscribe(event, contextId, id, commands, eventName)
+      event.returnValue = valueToMeta(event.sender, contextId, null)
+    } catch (error) {
+      event.returnValue = exceptionToMeta(event.sender, contextId, error)
+    }
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_UNSUBSCRIBE', (event, contextId, id) => {
+    unsubscribe(event.sender, contextId, id)
+  })
+
+  // The renderer has garbage collected or released its shadows of remote
+  // objects, |generations| are the last ones it has received for |ids|.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_DEREFERENCE', (event, contextId, ids, generations = []) => {
+    ids.forEach((id, index) => {
+      objectsRegistry.remove(event.sender, contextId, id, generations[index])
+    })
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_RELEASE_HANDLES', (event, contextId, ids) => {
+    const handles = contextHandles.get(getContextKey(event.sender, contextId))
+    if (!handles) return
+    for (const id of ids) handles.values.delete(id)
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_READ', (event, contextId, id, offset) => {
+    sendBufferChunk(event.sender, contextId, id, offset)
+  })
+
+  // The renderer has aborted reading the buffer.
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_RELEASE', (event, contextId, id) => {
+    const buffers = contextBuffers.get(getContextKey(event.sender, contextId))
+    if (buffers) buffers.delete(id)
+  })
+
+  transport.on('ELECTRON_BROWSER_LAZY_REMOTE_CONTEXT_RELEASE', (event, contextId) => {
+    releaseContext(event.sender, contextId)
+    event.returnValue = null
+  })
+}
+
+// Replace the modules returned by remote.getBuiltin, e.g. with fakes in tests.
+exports.setBuiltins = function (modules) {
+  electron = modules
+  builtinNames = Object.keys(modules)
+}
+
+exports.events = events
+
+// Drop the values cached by the renderers of |webContents|.
+exports.invalidateCache = function (webContents) {
+  if (!webContents.isDestroyed()) {
+    webContents.send('ELECTRON_RENDERER_LAZY_REMOTE_INVALIDATE_CACHE')
   }
-})
+}
+
+exports.configure = config.configure
 
-ipcMain.on('ELECTRON_BROWSER_LAZY_REMOTE_CONTEXT_RELEASE', (event, contextId) => {
-  objectsRegistry.clear(event.sender, contextId)
-  event.returnValue = null
-})
+// Publish |object| to renderers as remote.getService(name), replacing the
+// service already exposed with the name. When |options.methods| is passed, the
+// renderers can only get or call the members it lists.
+exports.expose = function (name, object, options = {}) {
+  if (typeof name !== 'string') {
+    throw new TypeError('The name of a service must be a string')
+  }
+  if (object === null || (typeof object !== 'object' && typeof object !== 'function')) {
+    throw new TypeError(`Service '${name}' must be an object or a function`)
+  }
+  const {methods = null} = options
+  if (methods !== null && !(Array.isArray(methods) && methods.every((method) => typeof method === 'string'))) {
+    throw new TypeError(`The methods of service '${name}' must be an array of strings`)
+  }
+  services.set(name, { object, methods })
+}
+
+// Stop publishing the service.
+exports.unexpose = function (name) {
+  services.delete(name)
+}
+
+// Report the objects and handles referenced by the renderers, see
+// ObjectsRegistry.snapshot.
+exports.getObjectsSnapshot = function () {
+  return objectsRegistry.snapshot(contextHandles)
+}
+
+// Compare two results of getObjectsSnapshot, see ObjectsRegistry.diff.
+exports.diffObjectsSnapshots = function (before, after) {
+  return objectsRegistry.diff(before, after)
+}
+
+if (process.type === 'browser') {
+  exports.listen(electronTransport.server())
+}
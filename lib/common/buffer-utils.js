@@ -48,6 +48,20 @@ exports.bufferToMeta = function (value) {
   }
 }
 
+// Describe |value| without its data, for the buffers sent in chunks.
+exports.bufferToChunkedMeta = function (value) {
+  return {
+    bufferType: getType(value),
+    length: value.length,
+    byteLength: value.byteLength
+  }
+}
+
+// Copy the data of |value| into a Buffer.
+exports.copyToBuffer = function (value) {
+  return Buffer.from(getBuffer(value))
+}
+
 exports.metaToBuffer = function (value) {
   const constructor = typedArrays[value.type]
   const data = getBuffer(value.data)
@@ -0,0 +1,11 @@
+// Call the |name| hook of |options| with |info|, errors thrown by the hook are
+// logged instead of failing the commit.
+module.exports = function callHook (options, name, info) {
+  const hook = options[name]
+  if (!hook) return
+  try {
+    hook(info)
+  } catch (error) {
+    console.error(`Error in the ${name} hook of lazy-remote:`, error)
+  }
+}
@@ -0,0 +1,80 @@
+// Describe the commands of a lazy chain in the code that builds them, e.g.
+// "remote.getCurrentWindow().getBounds()".
+
+const describeArg = function (meta) {
+  switch (meta.type) {
+    case 'value':
+      return meta.value === undefined ? 'undefined' : JSON.stringify(meta.value)
+    case 'lazy-object':
+      return describeCommands(meta.commands)
+    case 'remote-object':
+      return `<remote object ${meta.id}>`
+    default:
+      return `<${meta.type}>`
+  }
+}
+
+const describeArgs = function (args) {
+  return `(${(args || []).map(describeArg).join(', ')})`
+}
+
+const describeCommand = function (prefix, command) {
+  const target = `<remote object ${command.id}>`
+  switch (command.type) {
+    case 'require':
+      return `remote.require(${JSON.stringify(command.module)})`
+    case 'get_builtin':
+      return `remote.${command.module}`
+    case 'get_global':
+      return `remote.getGlobal(${JSON.stringify(command.name)})`
+    case 'get_service':
+      return `remote.getService(${JSON.stringify(command.name)})`
+    case 'get_current_window':
+      return 'remote.getCurrentWindow()'
+    case 'get_current_web_contents':
+      return 'remote.getCurrentWebContents()'
+    case 'handle':
+      return command.description || `<handle ${command.id}>`
+
+    case 'member_get':
+      return `${prefix}.${command.name}`
+    case 'member_set':
+      return `${prefix}.${command.name} = ${describeArgs(command.value).slice(1, -1)}`
+    case 'member_call':
+      return `${prefix}.${command.name}${describeArgs(command.args)}`
+    case 'member_constructor':
+      return `new ${prefix}.${command.name}${describeArgs(command.args)}`
+
+    case 'remote_object_get':
+      return `${target}.${command.name}`
+    case 'remote_object_set':
+      return `${target}.${command.name} = ${describeArgs(command.value).slice(1, -1)}`
+    case 'remote_object_call':
+      return `${target}.${command.name}${describeArgs(command.args)}`
+    case 'remote_object_constructor':
+      return `new ${target}.${command.name}${describeArgs(command.args)}`
+
+    case 'function_call': {
+      const func = command.id == null ? prefix : `<remote function ${command.id}>`
+      return command.args == null ? func : `${func}${describeArgs(command.args)}`
+    }
+    case 'constructor_call': {
+      const constructor = command.id == null ? prefix : `<remote function ${command.id}>`
+      return `new ${constructor}${describeArgs(command.args)}`
+    }
+
+    case 'pick':
+      return `${prefix}.$pick(${JSON.stringify(command.paths)})`
+    case 'value':
+      return `${prefix}.$value`
+
+    default:
+      return `${prefix}<${command.type}>`
+  }
+}
+
+const describeCommands = function (commands) {
+  return commands.reduce(describeCommand, '')
+}
+
+module.exports = describeCommands
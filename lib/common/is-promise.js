@@ -0,0 +1,14 @@
+// Same as Electron's private isPromise module, which is not available outside
+// of Electron.
+module.exports = function isPromise (val) {
+  return (
+    val &&
+    val.then &&
+    val.then instanceof Function &&
+    val.constructor &&
+    val.constructor.reject &&
+    val.constructor.reject instanceof Function &&
+    val.constructor.resolve &&
+    val.constructor.resolve instanceof Function
+  )
+}
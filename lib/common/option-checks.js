@@ -0,0 +1,14 @@
+// Validators of the options shared by the main process and renderers, called
+// with the name and the new value of the option.
+
+exports.checkFunction = function (key, value) {
+  if (value !== null && typeof value !== 'function') {
+    throw new TypeError(`Option '${key}' must be a function or null`)
+  }
+}
+
+exports.checkNumber = function (key, value) {
+  if (value !== null && !(Number.isFinite(value) && value >= 0)) {
+    throw new TypeError(`Option '${key}' must be a non-negative number or null`)
+  }
+}
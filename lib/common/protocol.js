@@ -0,0 +1,3 @@
+// The version of the messages between renderers and the main process, bump it
+// on incompatible changes.
+exports.PROTOCOL_VERSION = 1
@@ -0,0 +1,73 @@
+const {EventEmitter} = require('events')
+const v8 = require('v8')
+
+const Sender = require('./sender')
+
+// The channel serializes messages as JSON unless the process is forked with
+// `serialization: 'advanced'`, which would turn buffers into plain objects, so
+// encode the arguments the same way with both serializations.
+const encode = function (args) {
+  return v8.serialize(args).toString('base64')
+}
+
+const decode = function (data) {
+  return v8.deserialize(Buffer.from(data, 'base64'))
+}
+
+// Transport over the IPC channel of a child process, i.e. the ChildProcess
+// returned by child_process.fork in the parent, or `process` in the child.
+// Node cannot block on this channel, so only asynchronous messages are
+// supported, use `$async` to commit chains.
+exports.client = function (channelOwner) {
+  const emitter = new EventEmitter()
+
+  channelOwner.on('message', (message) => {
+    if (message && message.lazyRemote === 'message') {
+      emitter.emit(message.channel, {}, ...decode(message.args))
+    }
+  })
+  channelOwner.send({ lazyRemote: 'connect', processHostId: process.pid })
+
+  return {
+    on (channel, listener) {
+      emitter.on(channel, listener)
+      return this
+    },
+
+    removeListener (channel, listener) {
+      emitter.removeListener(channel, listener)
+      return this
+    },
+
+    send (channel, ...args) {
+      if (channelOwner.connected) {
+        channelOwner.send({ lazyRemote: 'message', channel, args: encode(args) })
+      }
+    }
+  }
+}
+
+exports.server = function (channelOwner) {
+  const emitter = new EventEmitter()
+  const sender = new Sender((message) => {
+    if (channelOwner.connected) {
+      channelOwner.send(Object.assign({}, message, { args: encode(message.args) }))
+    }
+  })
+  let processHostId = null
+
+  channelOwner.on('message', (message) => {
+    if (!message) return
+    switch (message.lazyRemote) {
+      case 'connect':
+        processHostId = message.processHostId
+        break
+      case 'message':
+        emitter.emit(message.channel, { sender }, ...decode(message.args))
+        break
+    }
+  })
+  channelOwner.on('disconnect', () => sender.destroy(processHostId))
+
+  return emitter
+}
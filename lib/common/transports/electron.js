@@ -0,0 +1,9 @@
+// Transport over Electron's IPC modules, which is used by default when
+// running in Electron.
+exports.client = function () {
+  return require('electron').ipcRenderer
+}
+
+exports.server = function () {
+  return require('electron').ipcMain
+}
@@ -0,0 +1,75 @@
+const {EventEmitter} = require('events')
+const v8 = require('v8')
+
+const Sender = require('./sender')
+
+// Copy the values like IPC does, so neither side can see the other's objects.
+const clone = function (value) {
+  return v8.deserialize(v8.serialize(value))
+}
+
+// Asynchronous messages are delivered in a microtask, which fake timers of
+// test frameworks do not hold back.
+const later = function (callback) {
+  Promise.resolve().then(callback)
+}
+
+class LoopbackSender extends Sender {
+  constructor (post, currentWindow) {
+    super(post)
+    this.currentWindow = currentWindow
+  }
+
+  getOwnerBrowserWindow () {
+    return this.currentWindow
+  }
+}
+
+// Transport that connects a client and a server in the same thread, which is
+// useful to unit test code using lazy-remote without Electron. |currentWindow|
+// is returned by remote.getCurrentWindow().
+exports.create = function ({currentWindow = null} = {}) {
+  const clientEmitter = new EventEmitter()
+  const serverEmitter = new EventEmitter()
+  const sender = new LoopbackSender((message) => {
+    later(() => clientEmitter.emit(message.channel, {}, ...clone(message.args)))
+  }, currentWindow)
+
+  const client = {
+    on (channel, listener) {
+      clientEmitter.on(channel, listener)
+      return this
+    },
+
+    removeListener (channel, listener) {
+      clientEmitter.removeListener(channel, listener)
+      return this
+    },
+
+    send (channel, ...args) {
+      args = clone(args)
+      later(() => serverEmitter.emit(channel, { sender }, ...args))
+    },
+
+    sendSync (channel, ...args) {
+      let returnValue
+      const event = { sender }
+      Object.defineProperty(event, 'returnValue', {
+        set (value) {
+          returnValue = clone(value)
+        }
+      })
+      serverEmitter.emit(channel, event, ...clone(args))
+      return returnValue
+    }
+  }
+
+  const server = {
+    on (channel, listener) {
+      serverEmitter.on(channel, listener)
+      return this
+    }
+  }
+
+  return {client, server, sender}
+}
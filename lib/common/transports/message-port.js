@@ -0,0 +1,102 @@
+const {EventEmitter} = require('events')
+const {MessageChannel, receiveMessageOnPort} = require('worker_threads')
+
+const Sender = require('./sender')
+
+// Transport over a MessagePort, a Worker, or the parentPort of a worker thread.
+// Synchronous messages block the client on a SharedArrayBuffer until the
+// server replies through a dedicated port, so the server must live in another
+// thread.
+exports.client = function (port) {
+  const emitter = new EventEmitter()
+  const {port1, port2} = new MessageChannel()
+  const signal = new Int32Array(new SharedArrayBuffer(4))
+  // The replies are only read synchronously, do not keep the thread alive.
+  port1.unref()
+
+  port.on('message', (message) => {
+    if (message && message.lazyRemote === 'message') {
+      emitter.emit(message.channel, {}, ...message.args)
+    }
+  })
+  port.postMessage({ lazyRemote: 'connect', syncPort: port2, signal, processHostId: process.pid }, [port2])
+
+  // Nobody would reply after the other side is gone.
+  let closed = false
+  const close = () => {
+    closed = true
+  }
+  port.on('close', close)
+  port.on('exit', close)
+
+  return {
+    on (channel, listener) {
+      emitter.on(channel, listener)
+      return this
+    },
+
+    removeListener (channel, listener) {
+      emitter.removeListener(channel, listener)
+      return this
+    },
+
+    send (channel, ...args) {
+      port.postMessage({ lazyRemote: 'message', channel, args })
+    },
+
+    sendSync (channel, ...args) {
+      if (closed) {
+        throw new Error('The other side of the transport is closed')
+      }
+      Atomics.store(signal, 0, 0)
+      port.postMessage({ lazyRemote: 'message-sync', channel, args })
+      Atomics.wait(signal, 0, 0)
+      return receiveMessageOnPort(port1).message
+    }
+  }
+}
+
+exports.server = function (port) {
+  const emitter = new EventEmitter()
+  const sender = new Sender((message) => port.postMessage(message))
+  let syncPort = null
+  let signal = null
+  let processHostId = null
+
+  port.on('message', (message) => {
+    if (!message) return
+    switch (message.lazyRemote) {
+      case 'connect':
+        syncPort = message.syncPort
+        signal = message.signal
+        processHostId = message.processHostId
+        break
+      case 'message':
+        emitter.emit(message.channel, { sender }, ...message.args)
+        break
+      case 'message-sync': {
+        // Reply only once, like the returnValue of Electron's sync messages.
+        let replied = false
+        const event = { sender }
+        Object.defineProperty(event, 'returnValue', {
+          set (value) {
+            if (replied) return
+            replied = true
+            syncPort.postMessage(value)
+            Atomics.store(signal, 0, 1)
+            Atomics.notify(signal, 0)
+          }
+        })
+        emitter.emit(message.channel, event, ...message.args)
+        break
+      }
+    }
+  })
+
+  // MessagePort emits "close", while Worker emits "exit".
+  const destroy = () => sender.destroy(processHostId)
+  port.on('close', destroy)
+  port.on('exit', destroy)
+
+  return emitter
+}
@@ -0,0 +1,33 @@
+const {EventEmitter} = require('events')
+
+// Use negative IDs so they never clash with the IDs of WebContents.
+let nextId = 0
+
+// The other side of a transport as seen by rpc-server, which expects the
+// sender of messages to look like a WebContents.
+class Sender extends EventEmitter {
+  constructor (post) {
+    super()
+    this.id = --nextId
+    this.post = post
+    this.destroyed = false
+  }
+
+  send (channel, ...args) {
+    if (!this.destroyed) this.post({ lazyRemote: 'message', channel, args })
+  }
+
+  isDestroyed () {
+    return this.destroyed
+  }
+
+  // Release everything referenced by the other side, as if its render view
+  // were deleted.
+  destroy (processHostId) {
+    if (this.destroyed) return
+    this.destroyed = true
+    this.emit('render-view-deleted', {}, processHostId)
+  }
+}
+
+module.exports = Sender
@@ -0,0 +1,65 @@
+// Values that IPC can not copy as is, i.e. undefined inside of arrays, BigInt,
+// NaN, Infinity, -0 and RegExp.
+
+const metaToValueByType = {
+  undefined: () => undefined,
+  bigint: (meta) => {
+    if (typeof BigInt !== 'function') {
+      throw new TypeError('BigInt is not supported in this process')
+    }
+    return BigInt(meta.value)
+  },
+  number: (meta) => meta.value === '-0' ? -0 : Number(meta.value),
+  regexp: (meta) => new RegExp(meta.source, meta.flags)
+}
+
+// Convert the value into meta data, or return null if IPC can copy it.
+exports.valueToMeta = function (value) {
+  switch (typeof value) {
+    case 'undefined':
+      return { type: 'undefined' }
+    case 'bigint':
+      return { type: 'bigint', value: value.toString() }
+    case 'number':
+      if (Object.is(value, -0)) {
+        return { type: 'number', value: '-0' }
+      } else if (!Number.isFinite(value)) {
+        return { type: 'number', value: String(value) }
+      }
+      return null
+    case 'object':
+      if (value instanceof RegExp) {
+        return { type: 'regexp', source: value.source, flags: value.flags }
+      }
+      return null
+    default:
+      return null
+  }
+}
+
+exports.isMeta = function (meta) {
+  return meta.type in metaToValueByType
+}
+
+exports.metaToValue = function (meta) {
+  return metaToValueByType[meta.type](meta)
+}
+
+// Track the containers met when converting a graph into meta data, so that a
+// container met again is sent as a reference to the first one, instead of
+// being copied or looping forever.
+exports.createReferences = function () {
+  const ids = new Map()
+  return {
+    // Return the reference meta if |value| has been met, otherwise assign an ID
+    // to it and store the ID in |meta.ref|.
+    visit (value, meta) {
+      if (ids.has(value)) {
+        return { type: 'reference', ref: ids.get(value) }
+      }
+      meta.ref = ids.size
+      ids.set(value, meta.ref)
+      return null
+    }
+  }
+}
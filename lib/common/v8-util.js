@@ -0,0 +1,64 @@
+// Electron's v8_util binding, or a plain JS replacement of the parts we use
+// when running outside of Electron, e.g. in a Node worker or child process.
+if (typeof process.atomBinding === 'function') {
+  module.exports = process.atomBinding('v8_util')
+} else {
+  // (object) => Map<key, value>
+  const hiddenValues = new WeakMap()
+
+  // Hold the values weakly when the runtime can, otherwise keep them alive.
+  const makeRef = (value) => {
+    return typeof WeakRef === 'function' ? new WeakRef(value) : { deref: () => value }
+  }
+
+  class IDWeakMap {
+    constructor () {
+      this.map = new Map()
+    }
+
+    set (key, value) {
+      this.map.set(key, makeRef(value))
+    }
+
+    get (key) {
+      const ref = this.map.get(key)
+      if (ref == null) return
+      const value = ref.deref()
+      if (value === undefined) this.map.delete(key)
+      return value
+    }
+
+    has (key) {
+      return this.get(key) !== undefined
+    }
+
+    remove (key) {
+      this.map.delete(key)
+    }
+  }
+
+  module.exports = {
+    getHiddenValue (object, key) {
+      const values = hiddenValues.get(object)
+      if (values) return values.get(key)
+    },
+
+    setHiddenValue (object, key, value) {
+      let values = hiddenValues.get(object)
+      if (!values) {
+        values = new Map()
+        hiddenValues.set(object, values)
+      }
+      values.set(key, value)
+    },
+
+    deleteHiddenValue (object, key) {
+      const values = hiddenValues.get(object)
+      if (values) values.delete(key)
+    },
+
+    createIDWeakMap () {
+      return new IDWeakMap()
+    }
+  }
+}
@@ -0,0 +1,14 @@
+const rpcServer = require('./browser/rpc-server')
+const remote = require('./renderer/remote')
+const loopbackTransport = require('./common/transports/loopback')
+
+// Run the main process side in this process, against |electron| which fakes
+// the builtin modules, and return the remote module talking to it. This makes
+// it possible to test code using lazy-remote with a plain Node test runner.
+module.exports = function loopback ({electron = {}, currentWindow = null} = {}) {
+  const {client, server} = loopbackTransport.create({ currentWindow })
+  rpcServer.setBuiltins(electron)
+  rpcServer.listen(server)
+  remote.setTransport(client)
+  return remote
+}
@@ -0,0 +1,87 @@
+// The remote module for pages with context isolation, which talks to the API
+// exposed by lib/renderer/bridge.js in the preload script. It records what is
+// done to a chain as plain data steps, e.g. remote.app.getName() is
+// [{get: 'app'}, {call: 'getName', args: []}], and sends them when the chain
+// is committed.
+// Note that this file does not require anything, so that it can be bundled
+// into pages.
+
+// Map the proxies returned to users back to their API and steps.
+const chains = new WeakMap()
+
+const createChain = function (api, steps) {
+  const target = function () {}
+  const chain = new Proxy(target, {
+    get: function (_, prop) {
+      switch (prop) {
+        case '$':
+          return api.run(steps)
+        case '$async':
+          return api.runAsync(steps)
+        case '$handle':
+          return createChain(api, [{ handle: api.hold(steps) }])
+        case '$value':
+          return api.run(steps.concat({ value: undefined }))
+        case '$pick':
+          return (paths, depth) => api.run(steps.concat({ pick: paths, depth }))
+        // Do not look like a thenable.
+        case 'then':
+          return undefined
+        case 'toJSON':
+          return () => api.describe(steps)
+      }
+      if (typeof prop === 'symbol') {
+        return prop === Symbol.toPrimitive ? () => api.describe(steps) : undefined
+      }
+      return createChain(api, steps.concat({ get: prop }))
+    },
+    set: function (_, prop, value) {
+      api.run(steps.concat({ set: prop, value }))
+      return true
+    },
+    apply: function (_, __, args) {
+      const last = steps[steps.length - 1]
+      if (last && 'get' in last) {
+        return createChain(api, steps.slice(0, -1).concat({ call: last.get, args }))
+      }
+      return createChain(api, steps.concat({ apply: args }))
+    },
+    construct: function (_, args) {
+      const last = steps[steps.length - 1]
+      if (last && 'get' in last) {
+        return createChain(api, steps.slice(0, -1).concat({ new: last.get, args }))
+      }
+      return createChain(api, steps.concat({ construct: args }))
+    }
+  })
+  chains.set(chain, { api, steps })
+  return chain
+}
+
+const getChain = function (chain) {
+  const info = chains.get(chain)
+  if (!info) {
+    throw new TypeError('Expected a chain, did you commit it already?')
+  }
+  return info
+}
+
+// Return the remote module of the page, |api| is what the preload script
+// exposes with bridge.expose().
+exports.create = (api = window.lazyRemote) => {
+  return createChain(api, [])
+}
+
+// Return the steps of |chain|.
+exports.getSteps = (chain) => {
+  return getChain(chain).steps
+}
+
+// Free the value kept for |chain|, which is returned by xxx.$handle.
+exports.release = (chain) => {
+  const {api, steps} = getChain(chain)
+  if (steps.length !== 1 || !('handle' in steps[0])) {
+    throw new TypeError('Only chains returned by $handle can be released')
+  }
+  api.release(steps[0].handle)
+}
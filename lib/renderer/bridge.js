@@ -0,0 +1,151 @@
+const LazyObject = require('./lazy-object')
+const remote = require('./remote')
+
+// Pages with context isolation can not get lazy objects, which are proxies, so
+// the preload script exposes an API taking chains as plain data instead, see
+// lib/page/remote.js. A chain is a list of steps:
+//   {get: name}                 value[name]
+//   {set: name, value}          value[name] = value, only as the last step
+//   {call: name, args}          value[name](...args)
+//   {new: name, args}           new value[name](...args)
+//   {apply: args}               value(...args)
+//   {construct: args}           new value(...args)
+//   {value: depth}              value.$value, only as the last step
+//   {pick: paths, depth}        value.$pick(paths), only as the last step
+// The first step works on the remote module, e.g. {get: 'app'} or
+// {call: 'require', args: ['./settings']}, or is {handle: id} to start from a
+// value kept by |hold|.
+
+// The functions of the remote module that a chain can start with.
+const ROOT_FUNCTIONS = [
+  'require', 'getBuiltin', 'getGlobal', 'getService', 'getCurrentWindow',
+  'getCurrentWebContents'
+]
+
+// The members of lazy objects that commit or describe them.
+const RESERVED_NAMES = [
+  '$', '$async', '$cached', '$handle', '$value', '$pick', 'then', 'toJSON'
+]
+
+// The handles kept by |hold|.
+// (id) => chain
+const handles = new Map()
+
+const checkName = function (name) {
+  if (typeof name !== 'string' || RESERVED_NAMES.includes(name)) {
+    throw new TypeError(`Invalid member name ${JSON.stringify(name)} in a step`)
+  }
+  return name
+}
+
+const getArgs = function (step) {
+  return step.args || []
+}
+
+const startChain = function (step) {
+  if ('handle' in step) {
+    if (!handles.has(step.handle)) {
+      throw new Error(`Cannot use missing handle ${step.handle}`)
+    }
+    return handles.get(step.handle)
+  }
+  if ('get' in step) {
+    const builtins = remote.handshake ? remote.handshake.builtins : []
+    if (step.get === 'process' || builtins.includes(step.get)) return remote[step.get]
+  }
+  if ('call' in step && ROOT_FUNCTIONS.includes(step.call)) {
+    return remote[step.call](...getArgs(step))
+  }
+  throw new TypeError(`Cannot start a chain with ${JSON.stringify(step)}`)
+}
+
+const applyStep = function (chain, step) {
+  if ('get' in step) {
+    return chain[checkName(step.get)]
+  } else if ('call' in step) {
+    return chain[checkName(step.call)](...getArgs(step))
+  } else if ('new' in step) {
+    return new chain[checkName(step.new)](...getArgs(step))
+  } else if ('apply' in step) {
+    return chain(...step.apply)
+  } else if ('construct' in step) {
+    return new chain(...step.construct)
+  } else if ('set' in step || 'value' in step || 'pick' in step) {
+    throw new TypeError('The set, value and pick steps can only be the last one')
+  }
+  throw new TypeError(`Unknown step ${JSON.stringify(step)}`)
+}
+
+// Replay |steps| on the remote module and return the lazy object they build,
+// which has the same commands as the chain written with lazy objects.
+const toChain = function (steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new TypeError('A chain must have at least one step')
+  }
+  return steps.slice(1).reduce(applyStep, startChain(steps[0]))
+}
+
+// Remote objects are proxies of lazy objects too, they have to be kept with
+// |hold| instead of being returned.
+const checkResult = function (value) {
+  if (LazyObject.isRemote(value)) {
+    throw new TypeError('The chain returns a remote object, which can not be passed to the page, use hold() to keep it')
+  }
+  return value
+}
+
+// Commit the chain and return its value.
+exports.run = function (steps) {
+  const last = steps[steps.length - 1]
+  if (last && 'set' in last) {
+    toChain(steps.slice(0, -1))[checkName(last.set)] = last.value
+    return
+  } else if (last && 'value' in last) {
+    return LazyObject.from(toChain(steps.slice(0, -1))).commitValue(last.value)
+  } else if (last && 'pick' in last) {
+    return LazyObject.from(toChain(steps.slice(0, -1))).commitPick(last.pick, last.depth)
+  }
+  return checkResult(toChain(steps).$)
+}
+
+// Same as above, but return a promise.
+exports.runAsync = function (steps) {
+  return Promise.resolve().then(() => toChain(steps).$async).then(checkResult)
+}
+
+// Keep the value of the chain in the main process, and return the ID of the
+// handle that later chains can start from with {handle: id}.
+exports.hold = function (steps) {
+  const chain = toChain(steps).$handle
+  const id = LazyObject.from(chain).commands[0].id
+  handles.set(id, chain)
+  return id
+}
+
+// Free the value kept for the handle.
+exports.release = function (id) {
+  const chain = handles.get(id)
+  if (!chain) return
+  handles.delete(id)
+  remote.release(chain)
+}
+
+// Describe the chain without committing it, e.g. "remote.app.getName()".
+exports.describe = function (steps) {
+  return remote.describe(toChain(steps))
+}
+
+// Expose the API above to the page as |window[name]|.
+exports.expose = function (name = 'lazyRemote') {
+  const {contextBridge} = require('electron')
+  if (!contextBridge) {
+    throw new Error('contextBridge is not available in this version of Electron')
+  }
+  contextBridge.exposeInMainWorld(name, {
+    run: exports.run,
+    runAsync: exports.runAsync,
+    hold: exports.hold,
+    release: exports.release,
+    describe: exports.describe
+  })
+}
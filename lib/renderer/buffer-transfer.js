@@ -0,0 +1,82 @@
+// Note: Don't use destructuring assignment for `Buffer`, see buffer-utils.js.
+const Buffer = require('buffer').Buffer
+
+const bufferUtils = require('../common/buffer-utils')
+
+// A large buffer read from the main process in chunks, one chunk at a time.
+// It is thenable, so awaiting it returns the buffer, of the same type as the
+// remote one, once all the chunks have arrived.
+class BufferTransfer {
+  // |meta| is the "chunked-buffer" meta, |read(offset)| asks for the chunk
+  // starting at |offset| and |release()| tells the main process to drop the
+  // buffer.
+  constructor (meta, read, release) {
+    this.bufferType = meta.bufferType
+    this.length = meta.length
+    this.byteLength = meta.byteLength
+    this.received = 0
+    this.settled = false
+
+    this.data = Buffer.alloc(meta.byteLength)
+    this.progressListeners = []
+    this.read = read
+    this.release = release
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve
+      this.reject = reject
+    })
+    // The rejection of an aborted transfer is for the ones awaiting it.
+    this.promise.catch(() => {})
+
+    this.read(0)
+  }
+
+  then (onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected)
+  }
+
+  catch (onRejected) {
+    return this.promise.catch(onRejected)
+  }
+
+  // Call |listener| with the numbers of received and total bytes whenever a
+  // chunk arrives.
+  onProgress (listener) {
+    this.progressListeners.push(listener)
+    return this
+  }
+
+  // Stop reading the buffer, awaiting the transfer then throws an AbortError.
+  abort () {
+    if (this.settled) return
+    this.settled = true
+    this.release()
+    const error = new Error('The buffer transfer is aborted')
+    error.name = 'AbortError'
+    this.reject(error)
+  }
+
+  // Store the chunk starting at |offset|, then ask for the next one.
+  receive (offset, chunk) {
+    if (this.settled) return
+    this.data.set(chunk, offset)
+    this.received = offset + chunk.length
+    for (const listener of this.progressListeners) {
+      listener(this.received, this.byteLength)
+    }
+    if (this.settled) return
+
+    if (this.received < this.byteLength) {
+      this.read(this.received)
+    } else {
+      this.settled = true
+      this.resolve(bufferUtils.metaToBuffer({
+        type: this.bufferType,
+        data: this.data,
+        length: this.length
+      }))
+    }
+  }
+}
+
+module.exports = BufferTransfer
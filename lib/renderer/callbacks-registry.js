@@ -0,0 +1,81 @@
+const v8Util = require('../common/v8-util')
+
+// Stores the renderer functions passed to the main process, so they can be
+// called back by their IDs.
+// Note that we do not use the "callbackId" hidden value of Electron's own
+// registry, otherwise a function passed through both remote modules would get
+// a mixed up ID.
+class CallbacksRegistry {
+  constructor () {
+    this.nextId = 0
+
+    // (id) => Function
+    this.callbacks = {}
+
+    // How many times each function has been passed to the main process.
+    // (id) => generation
+    this.generations = {}
+  }
+
+  // Register a function and return its assigned ID. If the function is already
+  // registered then the already assigned ID would be returned. Each call bumps
+  // the generation of the ID, see |remove|.
+  add (callback) {
+    let id = v8Util.getHiddenValue(callback, 'lazyCallbackId')
+    if (id != null) {
+      this.generations[id]++
+      return id
+    }
+
+    id = ++this.nextId
+
+    // Capture the location of the function, so that calls into a released
+    // renderer can be tracked down easily.
+    const regexp = /at (.*)/gi
+    const stackString = (new Error()).stack
+
+    let filenameAndLine
+    let match
+    while ((match = regexp.exec(stackString)) !== null) {
+      const location = match[1]
+      if (location.includes('(native)')) continue
+      if (location.includes('(<anonymous>)')) continue
+      if (location.includes('electron-lazy-remote')) continue
+      const ref = /([^/^)]*)\)?$/gi.exec(location)
+      filenameAndLine = ref[1]
+      break
+    }
+
+    this.callbacks[id] = callback
+    this.generations[id] = 1
+    v8Util.setHiddenValue(callback, 'lazyCallbackId', id)
+    v8Util.setHiddenValue(callback, 'location', filenameAndLine)
+    return id
+  }
+
+  generation (id) {
+    return this.generations[id]
+  }
+
+  get (id) {
+    return this.callbacks[id] || function () {}
+  }
+
+  apply (id, args) {
+    return this.get(id).apply(global, args)
+  }
+
+  // Remove a function, unless it has been passed again since |generation|,
+  // i.e. the main process has not seen the last time yet.
+  remove (id, generation) {
+    const callback = this.callbacks[id]
+    if (!callback) return
+    if (generation != null && this.generations[id] !== generation) return
+
+    v8Util.deleteHiddenValue(callback, 'lazyCallbackId')
+    delete this.callbacks[id]
+    delete this.generations[id]
+  }
+}
+
+module.exports = new CallbacksRegistry()
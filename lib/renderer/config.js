@@ -0,0 +1,39 @@
+const {checkFunction, checkNumber} = require('../common/option-checks')
+
+// The options of lazy-remote in the renderer process.
+const options = {
+  // Called with {commands, description, mode, size} before a chain is sent,
+  // then with the |duration| and the |result| or |error| added after it.
+  // |mode| is one of "sync", "async" and "batch".
+  onCommit: null,
+  onResult: null,
+  onError: null,
+
+  // Warn about the chains that take longer than this in milliseconds, along
+  // with the code that commits them.
+  slowCommitThreshold: null,
+
+  // Reject the async commits that take longer than this in milliseconds.
+  timeout: null
+}
+
+const validators = {
+  onCommit: checkFunction,
+  onResult: checkFunction,
+  onError: checkFunction,
+  slowCommitThreshold: checkNumber,
+  timeout: checkNumber
+}
+
+// Update the options, the ones not passed are kept unchanged.
+exports.configure = function (newOptions) {
+  for (const key of Object.keys(newOptions)) {
+    if (!(key in validators)) {
+      throw new TypeError(`Unknown option '${key}'`)
+    }
+    validators[key](key, newOptions[key])
+  }
+  Object.assign(options, newOptions)
+}
+
+exports.options = options
@@ -0,0 +1,51 @@
+const path = require('path')
+
+const config = require('./config')
+const callHook = require('../common/call-hook')
+const describeCommands = require('../common/describe-commands')
+
+// Frames of lazy-remote itself are skipped when looking for call sites.
+const libDir = path.resolve(__dirname, '..')
+
+const getCallSite = function () {
+  const frames = new Error().stack.split('\n').slice(1)
+  const frame = frames.find((line) => !line.includes(libDir))
+  return frame ? frame.trim() : 'at <unknown>'
+}
+
+// Report the commit to the hooks, return null if nobody is interested in it.
+// In "batch" mode |commands| is a list of command lists.
+exports.startCommit = function (commands, mode) {
+  const {options} = config
+  if (!options.onCommit && !options.onResult && !options.onError &&
+      options.slowCommitThreshold === null) {
+    return null
+  }
+
+  const info = {
+    commands,
+    description: mode === 'batch'
+      ? commands.map(describeCommands).join(', ')
+      : describeCommands(commands),
+    mode,
+    size: JSON.stringify(commands).length
+  }
+  if (options.slowCommitThreshold !== null) {
+    info.callSite = getCallSite()
+  }
+  callHook(options, 'onCommit', info)
+  info.start = Date.now()
+  return info
+}
+
+// Report the end of the commit, with either {result} or {error} as |outcome|.
+exports.endCommit = function (info, outcome) {
+  if (info === null) return
+
+  const duration = Date.now() - info.start
+  const threshold = config.options.slowCommitThreshold
+  if (threshold !== null && duration > threshold) {
+    console.warn(`lazy-remote: ${info.description} took ${duration}ms\n    ${info.callSite}`)
+  }
+  callHook(config.options, 'error' in outcome ? 'onError' : 'onResult', Object.assign({}, info, { duration }, outcome))
+}
@@ -1,41 +1,378 @@
-const v8Util = process.atomBinding('v8_util')
-const {ipcRenderer, isPromise} = require('electron')
-const resolvePromise = Promise.resolve.bind(Promise)
+const v8Util = require('../common/v8-util')
 
 const bufferUtils = require('../common/buffer-utils')
+const describeCommands = require('../common/describe-commands')
+const isPromise = require('../common/is-promise')
+const typeUtils = require('../common/type-utils')
+const BufferTransfer = require('./buffer-transfer')
+const callbacksRegistry = require('./callbacks-registry')
+const config = require('./config')
+const instrumentation = require('./instrumentation')
+const RemoteError = require('./remote-error')
+const resultCache = require('./result-cache')
 
 const remoteObjectCache = v8Util.createIDWeakMap()
 
-// An unique ID that can represent current context.
-const contextId = v8Util.getHiddenValue(global, 'contextId')
+// Map the proxies returned to users back to their lazy objects.
+const lazyObjects = new WeakMap()
+
+// An unique ID that can represent current context. Outside of Electron the
+// process ID takes the place of the render process host ID.
+const contextId = v8Util.getHiddenValue(global, 'contextId') || `${process.pid}-1`
+
+// The transport to the main process, see |LazyObject.setTransport|.
+let transport = null
+
+function getTransport () {
+  if (transport === null) {
+    throw new Error('No transport to the main process, call remote.setTransport first')
+  }
+  return transport
+}
+
+function sendSync (channel, ...args) {
+  const transport = getTransport()
+  if (typeof transport.sendSync !== 'function') {
+    throw new Error('The transport does not support synchronous messages, use $async instead')
+  }
+  return transport.sendSync(channel, ...args)
+}
 
 // Notify the main process when current context is going to be released.
 // Note that when the renderer process is destroyed, the message may not be
 // sent, we also listen to the "render-view-deleted" event in the main process
 // to guard that situation.
+// Other transports can not rely on the other side being alive at this point,
+// so they release the context asynchronously.
 process.on('exit', () => {
+  if (transport === null) return
   const command = 'ELECTRON_BROWSER_LAZY_REMOTE_CONTEXT_RELEASE'
-  ipcRenderer.sendSync(command, contextId)
+  if (process.type === 'renderer' && typeof transport.sendSync === 'function') {
+    transport.sendSync(command, contextId)
+  } else {
+    transport.send(command, contextId)
+  }
 })
 
+// Call a renderer function passed to the main process.
+function onCallback (event, passedContextId, id, args) {
+  if (passedContextId !== contextId) return
+  callbacksRegistry.apply(id, metaToValue(args))
+}
+
+// The main process no longer references a renderer function.
+function onReleaseCallback (event, passedContextId, id, generation) {
+  if (passedContextId !== contextId) return
+  callbacksRegistry.remove(id, generation)
+}
+
+// The asynchronous commits waiting for replies from the main process.
+// (requestId) => {resolve, reject}
+const pendingCommits = new Map()
+let nextRequestId = 0
+
+// How often to look for garbage collected remote objects, in milliseconds.
+const SWEEP_INTERVAL = 10 * 1000
+
+// The IDs of remote objects that have shadow objects in this context.
+const trackedObjectIds = new Set()
+let sweepTimer = null
+
+// The last generation received for each remote object ID. The main process
+// bumps it every time it sends the object, and only dereferences the object
+// when the generation passed back is still the last one, so the references
+// in flight when we dereference are kept.
+// (id) => generation
+const objectGenerations = new Map()
+
+function dereference (ids) {
+  if (ids.length === 0) return
+  const generations = ids.map((id) => objectGenerations.get(id))
+  for (const id of ids) objectGenerations.delete(id)
+  getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_DEREFERENCE', contextId, ids, generations)
+}
+
+// Tell the main process to dereference the remote objects whose shadow objects
+// have been garbage collected. Electron's v8Util.setRemoteObjectFreer reports
+// to the built-in remote module, which does not know our IDs, so we look for
+// the entries that are gone from the weak |remoteObjectCache| instead.
+function sweepRemoteObjects () {
+  const ids = []
+  for (const id of trackedObjectIds) {
+    if (!remoteObjectCache.has(id)) ids.push(id)
+  }
+  for (const id of ids) trackedObjectIds.delete(id)
+  dereference(ids)
+
+  if (trackedObjectIds.size === 0) {
+    clearInterval(sweepTimer)
+    sweepTimer = null
+  }
+}
+
+function trackRemoteObject (id) {
+  trackedObjectIds.add(id)
+  if (sweepTimer === null) {
+    sweepTimer = setInterval(sweepRemoteObjects, SWEEP_INTERVAL)
+    // Do not keep a Node process alive only for sweeping.
+    if (typeof sweepTimer.unref === 'function') sweepTimer.unref()
+  }
+}
+
+// How many levels of objects $value and $pick copy by default.
+const DEFAULT_VALUE_DEPTH = 3
+
+// The IDs of remote functions that have lazy objects in this context. They are
+// not garbage collected like shadow objects, only released explicitly.
+const remoteFunctionIds = new Set()
+
+// A scope run by |LazyObject.scope|, which collects the IDs of remote objects
+// and handles first materialized while its function runs synchronously, and
+// the ones passed to |track|.
+class Scope {
+  constructor () {
+    this.objects = new Set()
+    this.handles = new Set()
+  }
+
+  // Release |value| with the scope, e.g. when it is materialized after an
+  // await, and return it.
+  track (value) {
+    const target = getReleaseTarget(value)
+    if (target !== null) this[target.type].add(target.id)
+    return value
+  }
+}
+
+// The scopes running synchronously, the innermost one last.
+// [Scope]
+const scopes = []
+
+function addToScope (type, id) {
+  if (scopes.length > 0) scopes[scopes.length - 1][type].add(id)
+}
+
+// Return what releasing |value| drops as {type, id}, where |type| is either
+// "objects" or "handles", or null if it is not a remote object or a handle.
+function getReleaseTarget (value) {
+  const lazyObject = lazyObjects.get(value)
+  if (lazyObject) {
+    const {commands} = lazyObject
+    if (commands.length !== 1) return null
+    const [command] = commands
+    if (command.type === 'handle') {
+      return { type: 'handles', id: command.id }
+    } else if (command.type === 'function_call' && command.id != null && command.args == null) {
+      return { type: 'objects', id: command.id }
+    }
+    return null
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const id = v8Util.getHiddenValue(value, 'atomId')
+    if (id != null) return { type: 'objects', id }
+  }
+  return null
+}
+
+// Tell the main process to dereference the remote objects and drop the
+// handles, a remote object met again later gets a new shadow object.
+function releaseIds (objectIds, handleIds) {
+  for (const id of objectIds) {
+    remoteObjectCache.remove(id)
+    trackedObjectIds.delete(id)
+    remoteFunctionIds.delete(id)
+  }
+  dereference(objectIds)
+  if (handleIds.length > 0) {
+    getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_RELEASE_HANDLES', contextId, handleIds)
+  }
+}
+
+// Release what has been collected by |scope|, except for |result|, which is
+// passed on to the enclosing scope if there is one.
+function releaseScope (scope, result) {
+  const target = getReleaseTarget(result)
+  if (target !== null && scope[target.type].delete(target.id)) {
+    addToScope(target.type, target.id)
+  }
+  releaseIds([...scope.objects], [...scope.handles])
+}
+
+function createError (name, message) {
+  const error = new Error(message)
+  error.name = name
+  return error
+}
+
+// Release what the main process keeps for a reply that is no longer waited
+// for, i.e. the remote objects that have no shadows in this context, and the
+// buffers that would be sent in chunks.
+// The promises in it are released when they settle, see |onPromiseSettled|.
+function releaseMeta (meta) {
+  const objectIds = []
+  const visit = (meta) => {
+    if (meta == null || typeof meta !== 'object') return
+    switch (meta.type) {
+      case 'object':
+      case 'function':
+        if (!remoteObjectCache.has(meta.id) && !remoteFunctionIds.has(meta.id)) {
+          objectGenerations.set(meta.id, meta.generation)
+          objectIds.push(meta.id)
+        }
+        break
+      case 'chunked-buffer':
+        getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_RELEASE', contextId, meta.id)
+        break
+      case 'array':
+      case 'set':
+        meta.members.forEach(visit)
+        break
+      case 'map':
+        for (const member of meta.members) {
+          visit(member.key)
+          visit(member.value)
+        }
+        break
+      case 'plain-object':
+        for (const member of meta.members) visit(member.value)
+        break
+      case 'exception':
+        for (const member of meta.members) visit(member.value)
+        visit(meta.cause)
+        break
+    }
+  }
+  visit(meta)
+  releaseIds(objectIds, [])
+}
+
+function onCommitReply (event, passedContextId, requestId, meta) {
+  if (passedContextId !== contextId) return
+  const pending = pendingCommits.get(requestId)
+  // The commit has timed out or been aborted.
+  if (!pending) {
+    releaseMeta(meta)
+    return
+  }
+  pendingCommits.delete(requestId)
+  try {
+    pending.resolve(metaToValue(meta))
+  } catch (error) {
+    pending.reject(error)
+  }
+}
+
+// The promises returned from the main process, waiting to be settled.
+// (promiseId) => {resolve, reject}
+const pendingPromises = new Map()
+
+function onPromiseSettled (event, passedContextId, id, meta) {
+  if (passedContextId !== contextId) return
+  const pending = pendingPromises.get(id)
+  // The promise is in a reply that is no longer waited for.
+  if (!pending) {
+    releaseMeta(meta)
+    return
+  }
+  pendingPromises.delete(id)
+  try {
+    pending.resolve(metaToValue(meta))
+  } catch (error) {
+    pending.reject(error)
+  }
+}
+
+// The handshakes waiting for replies from the main process.
+// [resolve]
+const pendingHandshakes = []
+
+function onHandshakeReply (event, passedContextId, info) {
+  if (passedContextId !== contextId) return
+  const resolve = pendingHandshakes.shift()
+  if (resolve) resolve(info)
+}
+
+// The large buffers being read from the main process in chunks.
+// (bufferId) => BufferTransfer
+const bufferTransfers = new Map()
+
+function createBufferTransfer (meta) {
+  const transfer = new BufferTransfer(meta, (offset) => {
+    getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_READ', contextId, meta.id, offset)
+  }, () => {
+    bufferTransfers.delete(meta.id)
+    getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_RELEASE', contextId, meta.id)
+  })
+  bufferTransfers.set(meta.id, transfer)
+  return transfer
+}
+
+function onBufferChunk (event, passedContextId, id, offset, chunk) {
+  if (passedContextId !== contextId) return
+  const transfer = bufferTransfers.get(id)
+  if (!transfer) return
+  transfer.receive(offset, chunk)
+  if (transfer.settled) bufferTransfers.delete(id)
+}
+
+// The listeners of remote events.
+// (subscriptionId) => Function
+const subscriptions = new Map()
+let nextSubscriptionId = 0
+
+function onEvent (event, passedContextId, id, args) {
+  if (passedContextId !== contextId) return
+  const listener = subscriptions.get(id)
+  if (listener) listener(...metaToValue(args))
+}
+
+// The main process asks to drop all cached values.
+function onInvalidateCache () {
+  resultCache.clear()
+}
+
+// The cache keys whose values are invalidated by remote events.
+const watchedCacheKeys = new Set()
+
+// Invalidate the cached value of |key| when any of the remote emitters emits
+// the event, |invalidateOn| is a list of [emitter, eventName] pairs.
+function watchInvalidations (key, invalidateOn) {
+  if (watchedCacheKeys.has(key)) return
+
+  const invalidate = () => resultCache.delete(key)
+  for (const [emitter, eventName] of invalidateOn) {
+    const commands = LazyObject.from(emitter).commands.concat({
+      type: 'member_call',
+      name: 'on',
+      args: wrapArgs([eventName, invalidate])
+    })
+    metaToValue(sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', contextId, commands))
+  }
+  watchedCacheKeys.add(key)
+}
+
 // Convert the arguments object into an array of meta data.
-function wrapArgs (args, visited = new Set()) {
+function wrapArgs (args, references = typeUtils.createReferences()) {
   const valueToMeta = (value) => {
-    // Check for circular reference.
-    if (visited.has(value)) {
+    // Send an uncommitted chain as is, the main process will evaluate it in
+    // place instead of making another IPC call.
+    if (lazyObjects.has(value)) {
       return {
-        type: 'value',
-        value: null
+        type: 'lazy-object',
+        commands: lazyObjects.get(value).commands
       }
     }
 
+    const typeMeta = typeUtils.valueToMeta(value)
+    if (typeMeta) return typeMeta
+
     if (Array.isArray(value)) {
-      visited.add(value)
-      let meta = {
-        type: 'array',
-        value: wrapArgs(value, visited)
-      }
-      visited.delete(value)
+      let meta = { type: 'array' }
+      // Check for shared and circular references.
+      const reference = references.visit(value, meta)
+      if (reference) return reference
+      meta.value = wrapArgs(value, references)
       return meta
     } else if (bufferUtils.isBuffer(value)) {
       return {
@@ -62,19 +399,40 @@ function wrapArgs (args, visited = new Set()) {
         }
       }
 
-      let meta = {
-        type: 'object',
-        name: value.constructor ? value.constructor.name : '',
-        members: []
+      let meta
+      if (value instanceof Map) {
+        meta = { type: 'map', members: [] }
+      } else if (value instanceof Set) {
+        meta = { type: 'set', members: [] }
+      } else {
+        meta = {
+          type: 'object',
+          name: value.constructor ? value.constructor.name : '',
+          members: []
+        }
       }
-      visited.add(value)
-      for (let prop in value) {
-        meta.members.push({
-          name: prop,
-          value: valueToMeta(value[prop])
-        })
+      const reference = references.visit(value, meta)
+      if (reference) return reference
+
+      if (meta.type === 'map') {
+        for (let [key, member] of value) {
+          meta.members.push({
+            key: valueToMeta(key),
+            value: valueToMeta(member)
+          })
+        }
+      } else if (meta.type === 'set') {
+        for (let member of value) {
+          meta.members.push(valueToMeta(member))
+        }
+      } else {
+        for (let prop in value) {
+          meta.members.push({
+            name: prop,
+            value: valueToMeta(value[prop])
+          })
+        }
       }
-      visited.delete(value)
       return meta
     } else if (typeof value === 'function' && v8Util.getHiddenValue(value, 'returnValue')) {
       return {
@@ -82,7 +440,14 @@ function wrapArgs (args, visited = new Set()) {
         value: valueToMeta(value())
       }
     } else if (typeof value === 'function') {
-      throw new TypeError(`Unsupported type: function`)
+      const id = callbacksRegistry.add(value)
+      return {
+        type: 'function',
+        id,
+        generation: callbacksRegistry.generation(id),
+        location: v8Util.getHiddenValue(value, 'location'),
+        length: value.length
+      }
     } else {
       return {
         type: 'value',
@@ -135,12 +500,43 @@ function setObjectPrototype (ref, object, metaId, descriptor) {
 }
 
 // Convert meta data from browser into real value.
-function metaToValue (meta) {
+// The |references| collects the containers by their IDs, so that reference
+// metas can be resolved to them.
+function metaToValue (meta, references = []) {
+  const track = (value) => {
+    if (meta.ref != null) references[meta.ref] = value
+    return value
+  }
   const types = {
     value: () => meta.value,
-    array: () => meta.members.map((member) => metaToValue(member)),
+    array: () => {
+      const ret = track([])
+      for (const member of meta.members) ret.push(metaToValue(member, references))
+      return ret
+    },
+    map: () => {
+      const ret = track(new Map())
+      for (const member of meta.members) {
+        ret.set(metaToValue(member.key, references), metaToValue(member.value, references))
+      }
+      return ret
+    },
+    set: () => {
+      const ret = track(new Set())
+      for (const member of meta.members) ret.add(metaToValue(member, references))
+      return ret
+    },
+    reference: () => references[meta.ref],
+    'plain-object': () => {
+      const ret = track({})
+      for (const member of meta.members) ret[member.name] = metaToValue(member.value, references)
+      return ret
+    },
     buffer: () => bufferUtils.metaToBuffer(meta.value),
-    promise: () => resolvePromise({then: metaToValue(meta.then)}),
+    'chunked-buffer': () => createBufferTransfer(meta),
+    promise: () => new Promise((resolve, reject) => {
+      pendingPromises.set(meta.id, { resolve, reject })
+    }),
     error: () => metaToPlainObject(meta),
     date: () => new Date(meta.value),
     exception: () => { throw metaToException(meta) }
@@ -148,14 +544,21 @@ function metaToValue (meta) {
 
   if (meta.type in types) {
     return types[meta.type]()
+  } else if (typeUtils.isMeta(meta)) {
+    return typeUtils.metaToValue(meta)
   } else {
     let ret
+    objectGenerations.set(meta.id, meta.generation)
     if (remoteObjectCache.has(meta.id)) {
       return remoteObjectCache.get(meta.id)
     }
 
     // A shadow class to represent the remote function object.
     if (meta.type === 'function') {
+      if (!remoteFunctionIds.has(meta.id)) {
+        remoteFunctionIds.add(meta.id)
+        addToScope('objects', meta.id)
+      }
       return new LazyObject({ type: 'function_call', id: meta.id })
     } else {
       ret = {}
@@ -166,9 +569,10 @@ function metaToValue (meta) {
     Object.defineProperty(ret.constructor, 'name', { value: meta.name })
 
     // Track delegate obj's lifetime & tell browser to clean up when object is GCed.
-    v8Util.setRemoteObjectFreer(ret, contextId, meta.id)
     v8Util.setHiddenValue(ret, 'atomId', meta.id)
     remoteObjectCache.set(meta.id, ret)
+    trackRemoteObject(meta.id)
+    addToScope('objects', meta.id)
     return ret
   }
 }
@@ -185,69 +589,394 @@ function metaToPlainObject (meta) {
 
 // Construct an exception error from the meta.
 function metaToException (meta) {
-  const error = new Error(`${meta.message}\n${meta.stack}`)
+  const command = meta.command || {}
+  const error = new RemoteError(meta.message, {
+    name: meta.name,
+    remoteStack: meta.stack,
+    commandIndex: command.index,
+    command: command.description
+  })
+  for (const member of meta.members) {
+    error[member.name] = metaToValue(member.value)
+  }
   const remoteProcess = exports.process
   error.from = remoteProcess ? remoteProcess.type : null
   error.cause = metaToValue(meta.cause)
   return error
 }
 
+const inspectSymbol = Symbol.for('nodejs.util.inspect.custom')
+
+// Return the value of a well-known symbol on the proxy of |lazyObject|.
+function getSymbol (lazyObject, target, symbol) {
+  switch (symbol) {
+    case Symbol.toPrimitive:
+      return (hint) => hint === 'number' ? NaN : lazyObject.describe()
+    case Symbol.toStringTag:
+      return 'LazyObject'
+    default:
+      return target[symbol]
+  }
+}
+
+// Return a copy of |command| with the new type and arguments.
+function withArgs (command, type, args) {
+  return Object.assign({}, command, { type, args })
+}
+
+// The listeners added to the transport, as [channel, listener] pairs.
+const transportListeners = [
+  ['ELECTRON_RENDERER_LAZY_REMOTE_CALLBACK', onCallback],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_RELEASE_CALLBACK', onReleaseCallback],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_COMMIT_REPLY', onCommitReply],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_INVALIDATE_CACHE', onInvalidateCache],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_EVENT', onEvent],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_PROMISE_SETTLED', onPromiseSettled],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_HANDSHAKE_REPLY', onHandshakeReply],
+  ['ELECTRON_RENDERER_LAZY_REMOTE_BUFFER_CHUNK', onBufferChunk]
+]
+
 class LazyObject {
-  constructor(cmd) {
-    this.commands = [cmd]
+  // |commands| is a command or a list of them. Every property access or call
+  // returns a new lazy object, so a chain can be stored and branched from
+  // without affecting the others sharing its commands.
+  constructor(commands) {
+    this.commands = Object.freeze(Array.isArray(commands) ? commands : [commands])
 
     const _this = this
-    const wrapper = new Proxy(new Function(), {
+    const target = new Function()
+    // Newer versions of Node inspect the target of proxies directly.
+    target[inspectSymbol] = () => `[LazyObject ${_this.describe()}]`
+    const wrapper = new Proxy(target, {
       get: function (_, prop) {
         if (prop === '$') {
           return _this.commit()
         }
-        _this.commands.push({ type: 'member_get', name: prop })
-        return wrapper
+        if (prop === '$async') {
+          return _this.commitAsync()
+        }
+        if (prop === '$cached') {
+          return _this.commitCached()
+        }
+        if (prop === '$handle') {
+          return _this.commitHandle()
+        }
+        if (prop === '$value') {
+          return _this.commitValue()
+        }
+        if (prop === '$pick') {
+          return (paths, depth) => _this.commitPick(paths, depth)
+        }
+        // Symbols can not be sent to the main process, and are asked by
+        // console.log, template strings and the like.
+        if (typeof prop === 'symbol') {
+          return getSymbol(_this, target, prop)
+        }
+        // Do not look like a thenable, otherwise resolving a promise with a
+        // lazy object would try to call its "then" member.
+        if (prop === 'then') {
+          return undefined
+        }
+        if (prop === 'toJSON') {
+          return () => _this.describe()
+        }
+        return _this.branch({ type: 'member_get', name: prop })
       },
       set: function (_, prop, value) {
         value = wrapArgs([value])
-        _this.commands.push({ type: 'member_set', name: prop, value })
-        return _this.commit()
+        LazyObject.from(_this.branch({ type: 'member_set', name: prop, value })).commit()
+        return true
       },
       apply: function (_, __, args) {
         const last = _this.commands[_this.commands.length - 1]
         args = wrapArgs(args)
         if (last.type === 'member_get') {
-          last.args = args
-          last.type = 'member_call'
+          return _this.replaceLast(withArgs(last, 'member_call', args))
         } else if (last.type === 'remote_object_get') {
-          last.args = args
-          last.type = 'remote_object_call'
+          return _this.replaceLast(withArgs(last, 'remote_object_call', args))
         } else {
-          _this.commands.push({ type: 'function_call', args })
+          return _this.branch({ type: 'function_call', args })
         }
-        return wrapper
       },
       construct: function(_, args) {
         const last = _this.commands[_this.commands.length - 1]
         args = wrapArgs(args)
         if (last.type === 'function_call') {
-          last.args = args
-          last.type = 'constructor_call'
+          return _this.replaceLast(withArgs(last, 'constructor_call', args))
         } else if (last.type === 'member_get') {
-          last.args = args
-          last.type = 'member_constructor'
+          return _this.replaceLast(withArgs(last, 'member_constructor', args))
         } else if (last.type === 'remote_object_get') {
-          last.args = args
-          last.type = 'remote_object_constructor'
+          return _this.replaceLast(withArgs(last, 'remote_object_constructor', args))
         } else {
-          _this.commands.push({ type: 'constructor_call', args })
+          return _this.branch({ type: 'constructor_call', args })
         }
-        return wrapper
       }
     })
+    lazyObjects.set(wrapper, this)
     return wrapper
   }
 
-  commit() {
-    const meta = ipcRenderer.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', contextId, this.commands)
-    return metaToValue(meta)
+  // Talk to the main process through |newTransport|, which has the same
+  // interface as ipcRenderer: send, sendSync (optional), on and
+  // removeListener (optional). The listeners are only added once to a
+  // transport, and removed from the previous one when it can remove them.
+  static setTransport(newTransport) {
+    if (newTransport === transport) return
+    if (transport !== null && typeof transport.removeListener === 'function') {
+      for (const [channel, listener] of transportListeners) {
+        transport.removeListener(channel, listener)
+      }
+    }
+    transport = newTransport
+    for (const [channel, listener] of transportListeners) {
+      transport.on(channel, listener)
+    }
+  }
+
+  // Ask the main process for its protocol version and the names renderers can
+  // reach, see |getHandshake| in rpc-server.js.
+  static handshake() {
+    return sendSync('ELECTRON_BROWSER_LAZY_REMOTE_HANDSHAKE', contextId)
+  }
+
+  // Same as above, but return a promise for transports that can not send
+  // synchronous messages.
+  static handshakeAsync() {
+    const transport = getTransport()
+    return new Promise((resolve) => {
+      pendingHandshakes.push(resolve)
+      transport.send('ELECTRON_BROWSER_LAZY_REMOTE_HANDSHAKE_ASYNC', contextId)
+    })
+  }
+
+  // Call |listener| with the arguments of the remote emitter's events, and
+  // return a function that stops listening.
+  static subscribe(emitter, eventName, listener) {
+    const commands = LazyObject.from(emitter).commands
+    const id = ++nextSubscriptionId
+    subscriptions.set(id, listener)
+    try {
+      metaToValue(sendSync('ELECTRON_BROWSER_LAZY_REMOTE_SUBSCRIBE', contextId, id, commands, eventName))
+    } catch (error) {
+      subscriptions.delete(id)
+      throw error
+    }
+
+    return () => {
+      if (!subscriptions.delete(id)) return
+      getTransport().send('ELECTRON_BROWSER_LAZY_REMOTE_UNSUBSCRIBE', contextId, id)
+    }
+  }
+
+  // Tell the main process that |value|, a remote object, a remote function or
+  // a chain handle, is no longer used by this context.
+  static release(value) {
+    const target = getReleaseTarget(value)
+    if (target === null) {
+      throw new TypeError('Only remote objects, remote functions and handles can be released')
+    }
+    if (target.type === 'objects') {
+      releaseIds([target.id], [])
+    } else {
+      releaseIds([], [target.id])
+    }
+  }
+
+  // Whether |value| is a remote object, a remote function or a chain handle.
+  static isRemote(value) {
+    return getReleaseTarget(value) !== null
+  }
+
+  // Run |fn| with a Scope and release the remote objects and handles first
+  // materialized while it runs, except for the one it returns. When |fn|
+  // returns a promise they are released after the promise settles, but only
+  // the ones materialized before it first awaits are collected, the later ones
+  // have to be passed to |scope.track|.
+  static scope(fn) {
+    const scope = new Scope()
+    scopes.push(scope)
+    let ret
+    try {
+      ret = fn(scope)
+    } catch (error) {
+      scopes.pop()
+      releaseScope(scope)
+      throw error
+    }
+    scopes.pop()
+
+    if (isPromise(ret)) {
+      return ret.then((value) => {
+        releaseScope(scope, value)
+        return value
+      }, (error) => {
+        releaseScope(scope)
+        throw error
+      })
+    }
+    releaseScope(scope, ret)
+    return ret
+  }
+
+  // Return the lazy object of a proxy returned to users.
+  static from(chain) {
+    const lazyObject = lazyObjects.get(chain)
+    if (!lazyObject) {
+      throw new TypeError('Expected a lazy object, did you commit it already?')
+    }
+    return lazyObject
+  }
+
+  // Drop the cached value of |chain|, or all cached values if not passed.
+  static invalidate(chain) {
+    if (chain === undefined) {
+      resultCache.clear()
+    } else {
+      resultCache.delete(LazyObject.from(chain).cacheKey())
+    }
+  }
+
+  // Commit several chains in one IPC call and return a settled result for
+  // each of them, so that a failing chain does not lose the others.
+  static commitAll(chains) {
+    const commandLists = chains.map((chain) => {
+      const lazyObject = lazyObjects.get(chain)
+      if (!lazyObject) {
+        throw new TypeError('Only lazy objects can be committed in a batch')
+      }
+      return lazyObject.commands
+    })
+    const info = instrumentation.startCommit(commandLists, 'batch')
+    let metas
+    try {
+      metas = sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_BATCH', contextId, commandLists)
+    } catch (error) {
+      instrumentation.endCommit(info, { error })
+      throw error
+    }
+    const results = metas.map((meta) => {
+      try {
+        return { status: 'fulfilled', value: metaToValue(meta) }
+      } catch (reason) {
+        return { status: 'rejected', reason }
+      }
+    })
+    instrumentation.endCommit(info, { result: results })
+    return results
+  }
+
+  // Commit the chain synchronously. The main process replies with a
+  // TimeoutError when an asynchronous function does not call back within
+  // |options.timeout| milliseconds, which defaults to the "timeout" option.
+  commit(options = {}) {
+    const {timeout = config.options.timeout} = options
+    const info = instrumentation.startCommit(this.commands, 'sync')
+    try {
+      const meta = sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', contextId, this.commands, timeout)
+      const value = metaToValue(meta)
+      instrumentation.endCommit(info, { result: value })
+      return value
+    } catch (error) {
+      instrumentation.endCommit(info, { error })
+      throw error
+    }
+  }
+
+  // Return the cached value of the chain, or commit it and cache the value.
+  // |options.ttl| is how long to keep the value in milliseconds, and
+  // |options.invalidateOn| lists the [emitter, eventName] pairs that
+  // invalidate the value when the remote emitter emits the event.
+  commitCached(options = {}) {
+    const key = this.cacheKey()
+    if (resultCache.has(key)) return resultCache.get(key)
+
+    if (options.invalidateOn) watchInvalidations(key, options.invalidateOn)
+    const value = this.commit()
+    resultCache.set(key, value, options.ttl)
+    return value
+  }
+
+  // Return a new chain with |command| appended.
+  branch(command) {
+    return new LazyObject(this.commands.concat(command))
+  }
+
+  // Return a new chain with the last command replaced by |command|.
+  replaceLast(command) {
+    return new LazyObject(this.commands.slice(0, -1).concat(command))
+  }
+
+  // Run the commands once in the main process and keep the value there, then
+  // return a chain starting from it, so later commits do not run the commands
+  // again.
+  commitHandle() {
+    const meta = sendSync('ELECTRON_BROWSER_LAZY_REMOTE_CREATE_HANDLE', contextId, this.commands)
+    if (meta.type !== 'handle') return metaToValue(meta)
+    addToScope('handles', meta.id)
+    return new LazyObject({ type: 'handle', id: meta.id, description: this.describe() })
+  }
+
+  // Commit the chain and return a copy of its value, with the objects down to
+  // |depth| levels copied by value instead of being remote objects.
+  commitValue(depth = DEFAULT_VALUE_DEPTH) {
+    return LazyObject.from(this.branch({ type: 'value', depth })).commit()
+  }
+
+  // Commit the chain and return the members of its value listed in |paths| by
+  // value, the ones ending with "()" are called, e.g. ['id', 'getTitle()'].
+  commitPick(paths, depth = DEFAULT_VALUE_DEPTH) {
+    return LazyObject.from(this.branch({ type: 'pick', paths, depth })).commit()
+  }
+
+  // Describe the pending commands without committing them.
+  describe() {
+    return describeCommands(this.commands)
+  }
+
+  cacheKey() {
+    return JSON.stringify(this.commands)
+  }
+
+  // Commit the chain asynchronously. The commit is rejected with a
+  // TimeoutError after |options.timeout| milliseconds, which defaults to the
+  // "timeout" option, or with an AbortError when |options.signal|, an
+  // AbortSignal, is aborted. Either way the main process drops the reply.
+  commitAsync(options = {}) {
+    const {timeout = config.options.timeout, signal = null} = options
+    if (signal && signal.aborted) {
+      return Promise.reject(createError('AbortError', 'The commit is aborted'))
+    }
+
+    const transport = getTransport()
+    const requestId = ++nextRequestId
+    const info = instrumentation.startCommit(this.commands, 'async')
+    return new Promise((resolve, reject) => {
+      let timer = null
+      const onAbort = () => cancel(createError('AbortError', 'The commit is aborted'))
+      const settle = (callback, outcome) => {
+        clearTimeout(timer)
+        if (signal) signal.removeEventListener('abort', onAbort)
+        instrumentation.endCommit(info, outcome)
+        callback('error' in outcome ? outcome.error : outcome.result)
+      }
+      const cancel = (error) => {
+        if (!pendingCommits.delete(requestId)) return
+        transport.send('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_CANCEL', contextId, requestId)
+        settle(reject, { error })
+      }
+
+      pendingCommits.set(requestId, {
+        resolve: (result) => settle(resolve, { result }),
+        reject: (error) => settle(reject, { error })
+      })
+      if (timeout !== null) {
+        timer = setTimeout(() => {
+          cancel(createError('TimeoutError', `${this.describe()} timed out after ${timeout}ms`))
+        }, timeout)
+      }
+      if (signal) signal.addEventListener('abort', onAbort)
+      transport.send('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT_ASYNC', contextId, requestId, this.commands)
+    })
   }
 }
 
@@ -0,0 +1,21 @@
+// An error thrown in the main process.
+// The |name| and own properties like |code| are the ones of the remote error,
+// while |stack| is the local one and the remote stack is in |remoteStack|.
+// When the error is thrown from a command of the chain, |commandIndex| is its
+// index and |command| describes it, e.g. "member_call getBounds on remote
+// object 12".
+class RemoteError extends Error {
+  constructor (message, {name, remoteStack, commandIndex, command} = {}) {
+    super(message)
+    Object.defineProperty(this, 'name', {
+      value: name || 'Error',
+      writable: true,
+      configurable: true
+    })
+    this.remoteStack = remoteStack
+    this.commandIndex = commandIndex
+    this.command = command
+  }
+}
+
+module.exports = RemoteError
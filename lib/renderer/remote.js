@@ -1,4 +1,25 @@
 const LazyObject = require('./lazy-object')
+const {PROTOCOL_VERSION} = require('../common/protocol')
+const electronTransport = require('../common/transports/electron')
+
+exports.RemoteError = require('./remote-error')
+
+// Set the options of the renderer side, see lib/renderer/config.js.
+exports.configure = require('./config').configure
+
+// Talk to the main process through another transport, see
+// lib/common/transports.
+// The builtin getters are defined after the handshake with the main process,
+// which is done synchronously when the transport supports it, otherwise wait
+// for |remote.ready|.
+exports.setTransport = (transport) => {
+  LazyObject.setTransport(transport)
+  if (typeof transport.sendSync === 'function') {
+    exports.ready = Promise.resolve(applyHandshake(LazyObject.handshake()))
+  } else {
+    exports.ready = LazyObject.handshakeAsync().then(applyHandshake)
+  }
+}
 
 exports.require = (module) => {
   return new LazyObject({ type: 'require', module })
@@ -23,21 +44,113 @@ exports.getGlobal = (name) => {
   return new LazyObject({ type: 'get_global', name })
 }
 
+// Get a service published by the main process with expose(name, object).
+exports.getService = (name) => {
+  return new LazyObject({ type: 'get_service', name })
+}
+
+// Commit |chain| synchronously, same as xxx.$, with the option {timeout} to
+// stop waiting for the callback of an asynchronous function.
+exports.commit = (chain, options) => {
+  return LazyObject.from(chain).commit(options)
+}
+
+// Commit |chain| asynchronously, same as xxx.$async, with the options
+// {timeout, signal} to time out or abort it.
+exports.commitAsync = (chain, options) => {
+  return LazyObject.from(chain).commitAsync(options)
+}
+
+// Commit several chains in one IPC call, and return the results in the same
+// order. Each result is either {status: 'fulfilled', value} or
+// {status: 'rejected', reason}.
+exports.allSettled = (chains) => {
+  return LazyObject.commitAll(chains)
+}
+
+// Same as above, but return the values and throw the first error.
+exports.all = (chains) => {
+  return exports.allSettled(chains).map((result) => {
+    if (result.status === 'rejected') throw result.reason
+    return result.value
+  })
+}
+
+// Describe the pending commands of |chain| without committing it, e.g.
+// "remote.getCurrentWindow().getBounds()".
+exports.describe = (chain) => {
+  return LazyObject.from(chain).describe()
+}
+
+// Return the cached value of |chain|, or commit it and cache the value.
+// |options| can have |ttl| in milliseconds and |invalidateOn|, a list of
+// [emitter, eventName] pairs that invalidate the value on remote events.
+exports.cache = (chain, options) => {
+  return LazyObject.from(chain).commitCached(options)
+}
+
+// Commit |chain| and return a copy of its value, see xxx.$value. |depth| is how
+// many levels of objects are copied.
+exports.value = (chain, depth) => {
+  return LazyObject.from(chain).commitValue(depth)
+}
+
+// Drop the cached value of |chain|, or all cached values if not passed.
+exports.invalidate = (chain) => {
+  LazyObject.invalidate(chain)
+}
+
+// Call |listener| with the arguments of |eventName| events emitted by the
+// remote |emitter|, e.g. remote.subscribe(remote.app, 'browser-window-focus', fn).
+// Return a function that stops listening.
+exports.subscribe = (emitter, eventName, listener) => {
+  return LazyObject.subscribe(emitter, eventName, listener)
+}
+
+// Tell the main process that |value|, a remote object, a remote function or a
+// handle returned by xxx.$handle, is no longer used, so it can be freed.
+exports.release = (value) => {
+  LazyObject.release(value)
+}
+
+// Run |fn| and release the remote objects and handles it gets, except for the
+// one it returns, when it returns or the promise it returns settles. After an
+// await, pass them to |scope.track|, |scope| being the argument of |fn|.
+exports.scope = (fn) => {
+  return LazyObject.scope(fn)
+}
+
 // Get the process object in browser.
 exports.__defineGetter__('process', () => exports.getGlobal('process'))
 
 const addBuiltinProperty = (name) => {
   Object.defineProperty(exports, name, {
+    configurable: true,
+    enumerable: true,
     get: () => exports.getBuiltin(name)
   })
 }
 
-const browserModules =
-  require('../common/module-list').concat(
-  require('../browser/module-list'))
+// The builtin getters defined by the last handshake.
+let builtinNames = []
 
-// And add a helper receiver for each one.
-browserModules
-  .filter((m) => !m.private)
-  .map((m) => m.name)
-  .forEach(addBuiltinProperty)
+// Check that the main process speaks the same protocol, then add a helper
+// receiver for each builtin module it has. The handshake is kept in
+// |remote.handshake|.
+const applyHandshake = (info) => {
+  const version = info == null ? 'none' : info.version
+  if (version !== PROTOCOL_VERSION) {
+    throw new Error(`lazy-remote protocol version mismatch: the renderer speaks version ${PROTOCOL_VERSION} ` +
+                    `but the main process speaks ${version}, make sure both use the same electron-lazy-remote`)
+  }
+
+  for (const name of builtinNames) delete exports[name]
+  builtinNames = info.builtins.filter((name) => !(name in exports))
+  builtinNames.forEach(addBuiltinProperty)
+  exports.handshake = info
+  return info
+}
+
+if (process.type === 'renderer') {
+  exports.setTransport(electronTransport.client())
+}
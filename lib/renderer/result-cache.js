@@ -0,0 +1,37 @@
+// Stores the values of committed chains, keyed by their serialized commands.
+class ResultCache {
+  constructor () {
+    // (key) => {value, expires}
+    this.entries = new Map()
+  }
+
+  has (key) {
+    const entry = this.entries.get(key)
+    if (!entry) return false
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(key)
+      return false
+    }
+    return true
+  }
+
+  get (key) {
+    if (this.has(key)) return this.entries.get(key).value
+  }
+
+  // Keep the value for |ttl| milliseconds, or until invalidated if |ttl| is
+  // not passed.
+  set (key, value, ttl = Infinity) {
+    this.entries.set(key, { value, expires: Date.now() + ttl })
+  }
+
+  delete (key) {
+    this.entries.delete(key)
+  }
+
+  clear () {
+    this.entries.clear()
+  }
+}
+
+module.exports = new ResultCache()
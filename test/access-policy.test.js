@@ -0,0 +1,115 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+class FakeBrowserWindow {
+  getTitle () {
+    return 'main'
+  }
+}
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const LazyObject = require('../lib/renderer/lazy-object')
+const loopbackTransport = require('../lib/common/transports/loopback')
+const v8Util = require('../lib/common/v8-util')
+const steps = []
+const remote = require('../lib/loopback')({
+  electron: {
+    app: {
+      getName: () => 'test',
+      step: () => {
+        steps.push('step')
+        return { use: () => {} }
+      }
+    },
+    BrowserWindow: FakeBrowserWindow
+  },
+  currentWindow: new FakeBrowserWindow()
+})
+lazyRemote.configure({ allowModules: [], allowGlobals: [] })
+
+const isRPCError = (error) => {
+  assert.ok(error instanceof remote.RemoteError)
+  assert.strictEqual(error.code, 'EBADRPC')
+  return true
+}
+
+test('modules and globals outside of the allowlists are rejected', () => {
+  assert.throws(() => remote.require('fs').readFileSync('/etc/passwd').$, isRPCError)
+  assert.throws(() => remote.getGlobal('process').pid.$, isRPCError)
+  assert.strictEqual(remote.app.getName().$, 'test')
+})
+
+test('chains nested in arguments are checked before anything runs', () => {
+  assert.throws(() => remote.app.step().use(remote.require('fs')).$, isRPCError)
+  assert.throws(() => remote.app.step().use([{ fs: remote.require('fs') }]).$, isRPCError)
+  assert.deepStrictEqual(steps, [])
+})
+
+test('chains can not reach the Function constructor', () => {
+  const escape = 'return typeof process.mainModule'
+  assert.throws(() => remote.app.getName.constructor(escape)().$, isRPCError)
+  assert.throws(() => remote.app.__proto__.constructor.$, isRPCError)
+  assert.throws(() => remote.BrowserWindow.prototype.getTitle.$, isRPCError)
+  assert.throws(() => remote.app.$pick(['constructor']), isRPCError)
+  assert.throws(() => remote.app.getName.$pick(['constructor()']), isRPCError)
+  assert.throws(() => remote.app.__lookupGetter__('__proto__').$, isRPCError)
+})
+
+test('names must be strings', () => {
+  const escape = [
+    { type: 'get_builtin', module: 'app' },
+    { type: 'member_get', name: 'getName' },
+    { type: 'member_call', name: ['constructor'], args: [{ type: 'value', value: 'return process.pid' }] },
+    { type: 'function_call', args: [] }
+  ]
+  assert.throws(() => new LazyObject(escape).$, isRPCError)
+  assert.throws(() => new LazyObject({ type: 'require', module: ['fs'] }).$, isRPCError)
+  assert.throws(() => new LazyObject({ type: 'get_global', name: ['process'] }).$, isRPCError)
+})
+
+test('members of remote objects are checked too', () => {
+  const app = remote.app.$
+  assert.throws(() => app.getName.constructor('').$, isRPCError)
+})
+
+test('remote objects can only be used by the contexts they are sent to', () => {
+  const id = v8Util.getHiddenValue(remote.app.$, 'atomId')
+
+  // Another page, which has not been sent the object.
+  const other = loopbackTransport.create()
+  lazyRemote.listen(other.server)
+  const commit = (commands) => {
+    return other.client.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', `${process.pid}-1`, commands)
+  }
+  const isRejected = (meta) => {
+    assert.strictEqual(meta.type, 'exception')
+    assert.ok(meta.members.some(({name, value}) => name === 'code' && value.value === 'EBADRPC'))
+  }
+  isRejected(commit([{ type: 'remote_object_call', id, name: 'getName', args: [] }]))
+  isRejected(commit([{ type: 'function_call', id, args: [] }]))
+  isRejected(commit([
+    { type: 'get_builtin', module: 'app' },
+    { type: 'member_call', name: 'getName', args: [{ type: 'remote-object', id }] }
+  ]))
+})
+
+test('services only expose the allowed methods', () => {
+  lazyRemote.expose('settings', {
+    get: (key) => `value of ${key}`,
+    reset: () => {}
+  }, { methods: ['get'] })
+  const settings = remote.getService('settings')
+  assert.strictEqual(settings.get('theme').$, 'value of theme')
+  assert.throws(() => settings.reset().$, isRPCError)
+  assert.throws(() => settings.$, isRPCError)
+  assert.throws(() => settings.get.constructor('return typeof process.mainModule')().$, isRPCError)
+})
+
+test('unsafe members can be allowed explicitly', () => {
+  lazyRemote.configure({ allowUnsafeMembers: true })
+  try {
+    assert.strictEqual(remote.app.getName.constructor('return 1')().$, 1)
+  } finally {
+    lazyRemote.configure({ allowUnsafeMembers: false })
+  }
+})
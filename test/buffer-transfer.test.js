@@ -0,0 +1,89 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+const data = Buffer.from('0123456789')
+const {client, server} = loopbackTransport.create()
+lazyRemote.setBuiltins({
+  app: {
+    getData: () => data,
+    getFloats: () => new Float32Array([0.5, 1.5, 2.5]),
+    getSmall: () => Buffer.from('abc')
+  }
+})
+lazyRemote.configure({ chunkThreshold: 4, chunkSize: 4 })
+lazyRemote.listen(server)
+
+// Record the buffer messages the renderer sends, as [type, id, offset].
+const sent = []
+const send = client.send
+client.send = function (channel, ...args) {
+  if (channel.startsWith('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_')) {
+    sent.push([channel.slice('ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_'.length), ...args.slice(1)])
+  }
+  return send.call(this, channel, ...args)
+}
+const chunks = []
+client.on('ELECTRON_RENDERER_LAZY_REMOTE_BUFFER_CHUNK', (event, contextId, id, offset, chunk) => {
+  chunks.push([offset, chunk.length])
+})
+remote.setTransport(client)
+
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+test.beforeEach(() => {
+  sent.length = 0
+  chunks.length = 0
+})
+
+test('large buffers are read in chunks, in order', async () => {
+  const progress = []
+  const transfer = remote.app.getData().$
+  transfer.onProgress((received, total) => progress.push([received, total]))
+
+  const value = await transfer
+  assert.ok(Buffer.isBuffer(value))
+  assert.ok(value.equals(data))
+  assert.deepStrictEqual(sent.map(([type, id, offset]) => [type, offset]), [['READ', 0], ['READ', 4], ['READ', 8]])
+  assert.deepStrictEqual(chunks, [[0, 4], [4, 4], [8, 2]])
+  assert.deepStrictEqual(progress, [[4, 10], [8, 10], [10, 10]])
+})
+
+test('small buffers are sent in one message', () => {
+  const value = remote.app.getSmall().$
+  assert.ok(Buffer.isBuffer(value))
+  assert.strictEqual(value.toString(), 'abc')
+  assert.deepStrictEqual(sent, [])
+})
+
+test('typed arrays keep their type', async () => {
+  const value = await remote.app.getFloats().$
+  assert.ok(value instanceof Float32Array)
+  assert.deepStrictEqual(Array.from(value), [0.5, 1.5, 2.5])
+  assert.strictEqual(chunks.length, 3)
+})
+
+test('$async resolves to the buffer instead of the transfer', async () => {
+  const value = await remote.app.getData().$async
+  assert.ok(Buffer.isBuffer(value))
+  assert.ok(value.equals(data))
+})
+
+test('aborted transfers reject and release the buffer', async () => {
+  const transfer = remote.app.getData().$
+  transfer.onProgress(() => transfer.abort())
+  await assert.rejects(transfer, { name: 'AbortError' })
+  await tick()
+  assert.deepStrictEqual(sent.map(([type]) => type), ['READ', 'RELEASE'])
+  assert.strictEqual(sent[0][1], sent[1][1])
+  assert.deepStrictEqual(chunks, [[0, 4]])
+
+  // The main process has dropped the buffer, reading it again gets nothing.
+  const id = sent[1][1]
+  send.call(client, 'ELECTRON_BROWSER_LAZY_REMOTE_BUFFER_READ', `${process.pid}-1`, id, 4)
+  await tick()
+  assert.strictEqual(chunks.length, 1)
+})
@@ -0,0 +1,77 @@
+const assert = require('assert')
+const {test} = require('node:test')
+const v8 = require('v8')
+const vm = require('vm')
+
+v8.setFlagsFromString('--expose-gc')
+const gc = vm.runInNewContext('gc')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const callbacksRegistry = require('../lib/renderer/callbacks-registry')
+const v8Util = require('../lib/common/v8-util')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+const kept = []
+const {client, server, sender} = loopbackTransport.create()
+lazyRemote.setBuiltins({
+  app: {
+    call: (callback) => { callback() },
+    keep: (callback) => { kept.push(callback) }
+  }
+})
+lazyRemote.listen(server)
+remote.setTransport(client)
+
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+test('renderer functions are released when the main process drops them', async () => {
+  let called = false
+  const callback = () => { called = true }
+  remote.app.call(callback).$
+  await tick()
+  assert.ok(called)
+  const id = v8Util.getHiddenValue(callback, 'lazyCallbackId')
+
+  // The proxy is only collected after the current job, then the finalizer and
+  // the release message each take a turn.
+  for (let i = 0; i < 3 && id in callbacksRegistry.callbacks; i++) {
+    await tick()
+    gc()
+    await tick()
+    await tick()
+  }
+  assert.ok(!(id in callbacksRegistry.callbacks))
+})
+
+test('a function passed again before the release message is kept', () => {
+  const callback = () => {}
+  const id = callbacksRegistry.add(callback)
+  const generation = callbacksRegistry.generation(id)
+  callbacksRegistry.add(callback)
+  callbacksRegistry.remove(id, generation)
+  assert.ok(id in callbacksRegistry.callbacks)
+  callbacksRegistry.remove(id, generation + 1)
+  assert.ok(!(id in callbacksRegistry.callbacks))
+})
+
+test('the proxies of a deleted render view are not reused', () => {
+  const callback = () => {}
+  remote.app.keep(callback).$
+  remote.app.keep(callback).$
+  assert.strictEqual(kept[0], kept[1])
+
+  sender.emit('render-view-deleted', {}, process.pid)
+  remote.app.keep(callback).$
+  assert.notStrictEqual(kept[2], kept[0])
+
+  const warn = console.warn
+  const warnings = []
+  console.warn = (message) => warnings.push(message)
+  try {
+    kept[0]()
+  } finally {
+    console.warn = warn
+  }
+  assert.strictEqual(warnings.length, 1)
+})
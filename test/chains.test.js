@@ -0,0 +1,152 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+class FakeBrowserWindow {
+  constructor (id) {
+    this.id = id
+    this.title = `window ${id}`
+  }
+
+  getTitle () {
+    return this.title
+  }
+
+  getBounds () {
+    return { x: 0, y: 0, size: { width: 800, height: 600 } }
+  }
+}
+
+const windows = [new FakeBrowserWindow(0), new FakeBrowserWindow(1)]
+const {client, server} = loopbackTransport.create({ currentWindow: windows[0] })
+lazyRemote.setBuiltins({
+  app: {
+    echo: (value) => value,
+    fail: () => { throw new Error('failed') }
+  },
+  BrowserWindow: {
+    fromId: (id) => windows[id]
+  }
+})
+lazyRemote.listen(server)
+remote.setTransport(client)
+
+// Record the channels of the synchronous messages sent to the main process.
+const messages = []
+const sendSync = client.sendSync
+client.sendSync = function (channel, ...args) {
+  messages.push(channel.replace('ELECTRON_BROWSER_LAZY_REMOTE_', ''))
+  return sendSync.call(this, channel, ...args)
+}
+
+test.beforeEach(() => {
+  messages.length = 0
+})
+
+test('remote.all commits several chains in one message', () => {
+  const results = remote.all([
+    remote.BrowserWindow.fromId(1).id,
+    remote.getCurrentWindow().getTitle()
+  ])
+  assert.deepStrictEqual(results, [1, 'window 0'])
+  assert.deepStrictEqual(messages, ['COMMIT_BATCH'])
+})
+
+test('remote.allSettled reports the errors of each chain', () => {
+  const [first, second, third] = remote.allSettled([
+    remote.BrowserWindow.fromId(1).id,
+    remote.app.fail(),
+    remote.getCurrentWindow().getTitle()
+  ])
+  assert.deepStrictEqual(first, { status: 'fulfilled', value: 1 })
+  assert.strictEqual(second.status, 'rejected')
+  assert.ok(second.reason instanceof remote.RemoteError)
+  assert.strictEqual(second.reason.message, 'failed')
+  assert.deepStrictEqual(third, { status: 'fulfilled', value: 'window 0' })
+  assert.deepStrictEqual(messages, ['COMMIT_BATCH'])
+})
+
+test('remote.all throws the first error', () => {
+  assert.throws(() => remote.all([remote.getCurrentWindow().id, remote.app.fail()]), {
+    message: 'failed'
+  })
+})
+
+test('uncommitted chains in arguments are evaluated in the same message', () => {
+  const title = remote.BrowserWindow.fromId(remote.BrowserWindow.fromId(1).id).getTitle().$
+  assert.strictEqual(title, 'window 1')
+  assert.deepStrictEqual(messages, ['COMMIT'])
+})
+
+test('chains nested in arrays and objects of arguments are evaluated too', () => {
+  const value = remote.app.echo([
+    remote.getCurrentWindow().id,
+    { title: remote.BrowserWindow.fromId(1).getTitle() }
+  ]).$value
+  assert.deepStrictEqual(value, [0, { title: 'window 1' }])
+  assert.deepStrictEqual(messages, ['COMMIT'])
+})
+
+test('errors of chains in arguments are thrown by the commit', () => {
+  assert.throws(() => remote.BrowserWindow.fromId(remote.app.fail()).$, (error) => {
+    assert.ok(error instanceof remote.RemoteError)
+    assert.strictEqual(error.message, 'failed')
+    return true
+  })
+})
+
+test('chains are immutable and can be branched from', () => {
+  const win = remote.BrowserWindow.fromId(1)
+  const id = win.id
+  const title = win.getTitle()
+  assert.strictEqual(remote.describe(win), 'remote.BrowserWindow.fromId(1)')
+  assert.strictEqual(remote.describe(id), 'remote.BrowserWindow.fromId(1).id')
+  assert.strictEqual(remote.describe(title), 'remote.BrowserWindow.fromId(1).getTitle()')
+
+  assert.strictEqual(id.$, 1)
+  assert.strictEqual(title.$, 'window 1')
+  assert.strictEqual(win.getTitle().$, 'window 1')
+  assert.strictEqual(remote.describe(win), 'remote.BrowserWindow.fromId(1)')
+})
+
+test('handles run the commands once and start later chains from the value', async () => {
+  const handle = remote.BrowserWindow.fromId(1).$handle
+  windows[1].title = 'renamed'
+  try {
+    assert.strictEqual(handle.getTitle().$, 'renamed')
+    assert.strictEqual(handle.id.$, 1)
+    assert.deepStrictEqual(messages, ['CREATE_HANDLE', 'COMMIT', 'COMMIT'])
+  } finally {
+    windows[1].title = 'window 1'
+  }
+
+  remote.release(handle)
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.throws(() => handle.id.$, remote.RemoteError)
+})
+
+test('$pick gets the members and the results of calls in one message', () => {
+  const picked = remote.BrowserWindow.fromId(1).$pick(['id', 'getTitle()', 'getBounds()'])
+  assert.deepStrictEqual(picked, {
+    id: 1,
+    getTitle: 'window 1',
+    getBounds: { x: 0, y: 0, size: { width: 800, height: 600 } }
+  })
+  assert.deepStrictEqual(messages, ['COMMIT'])
+})
+
+test('$pick and $value copy the objects down to the depth', () => {
+  const picked = remote.BrowserWindow.fromId(1).$pick(['getBounds()'], 1)
+  assert.deepStrictEqual(picked, { getBounds: { x: 0, y: 0, size: undefined } })
+
+  assert.deepStrictEqual(remote.value(remote.getCurrentWindow().getBounds(), 1), {
+    x: 0, y: 0, size: undefined
+  })
+  assert.deepStrictEqual(remote.getCurrentWindow().getBounds().$value, {
+    x: 0, y: 0, size: { width: 800, height: 600 }
+  })
+  assert.deepStrictEqual(remote.getCurrentWindow().$value, { id: 0, title: 'window 0' })
+})
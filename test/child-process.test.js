@@ -0,0 +1,33 @@
+const assert = require('assert')
+const {fork} = require('child_process')
+const {test} = require('node:test')
+
+const transport = require('../lib/common/transports/child-process')
+
+// The test forks itself to serve the chains in the child.
+if (process.argv[2] === 'serve') {
+  const lazyRemote = require('../lib/browser/rpc-server')
+  lazyRemote.setBuiltins({
+    app: {
+      getBuffer: () => Buffer.from('hi'),
+      getLength: (buffer) => Buffer.isBuffer(buffer) ? buffer.length : -1
+    }
+  })
+  lazyRemote.listen(transport.server(process))
+} else {
+  test('buffers are passed with the default serialization', async () => {
+    const child = fork(__filename, ['serve'])
+    try {
+      const remote = require('../lib/renderer/remote')
+      remote.setTransport(transport.client(child))
+      await remote.ready
+
+      const buffer = await remote.app.getBuffer().$async
+      assert.ok(Buffer.isBuffer(buffer))
+      assert.strictEqual(buffer.toString(), 'hi')
+      assert.strictEqual(await remote.app.getLength(Buffer.from('abc')).$async, 3)
+    } finally {
+      child.kill()
+    }
+  })
+}
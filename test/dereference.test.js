@@ -0,0 +1,66 @@
+const assert = require('assert')
+const {mock, test} = require('node:test')
+const v8 = require('v8')
+const vm = require('vm')
+
+v8.setFlagsFromString('--expose-gc')
+const gc = vm.runInNewContext('gc')
+
+const objectsRegistry = require('../lib/browser/objects-registry')
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+const contextId = `${process.pid}-1`
+const {client, server, sender} = loopbackTransport.create()
+lazyRemote.setBuiltins({
+  app: { make: () => ({}), hang: () => new Promise(() => {}) }
+})
+lazyRemote.listen(server)
+remote.setTransport(client)
+
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+test('collected shadows are dereferenced while a commit is pending', async () => {
+  mock.timers.enable({ apis: ['setInterval'] })
+  try {
+    remote.app.hang().$async
+    for (let i = 0; i < 5; i++) remote.app.make().$
+    assert.strictEqual(objectsRegistry.count(sender, contextId), 5)
+
+    // WeakRefs are only cleared after the current job.
+    await tick()
+    gc()
+    await tick()
+    mock.timers.tick(10 * 1000)
+    await tick()
+    assert.strictEqual(objectsRegistry.count(sender, contextId), 0)
+  } finally {
+    mock.timers.reset()
+  }
+})
+
+test('an object sent again after it is dereferenced is kept', () => {
+  const object = {}
+  const owner = { id: 1, on () {} }
+  const id = objectsRegistry.add(owner, '1-1', object)
+  const generation = objectsRegistry.generation(owner, '1-1', id)
+  objectsRegistry.add(owner, '1-1', object)
+  objectsRegistry.remove(owner, '1-1', id, generation)
+  assert.strictEqual(objectsRegistry.get(id), object)
+  objectsRegistry.remove(owner, '1-1', id, generation + 1)
+  assert.strictEqual(objectsRegistry.get(id), undefined)
+})
+
+test('async scopes release the objects tracked after an await', async () => {
+  const before = objectsRegistry.count(sender, contextId)
+  await remote.scope(async (scope) => {
+    remote.app.make().$
+    await null
+    scope.track(remote.app.make().$)
+    scope.track(remote.app.make().$)
+    assert.strictEqual(objectsRegistry.count(sender, contextId), before + 3)
+  })
+  await tick()
+  assert.strictEqual(objectsRegistry.count(sender, contextId), before)
+})
@@ -0,0 +1,54 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+const v8Util = require('../lib/common/v8-util')
+
+test('no builtins are advertised outside of Electron', async () => {
+  const {client, server} = loopbackTransport.create()
+  lazyRemote.listen(server)
+  remote.setTransport(client)
+  await remote.ready
+  assert.deepStrictEqual(remote.handshake.builtins, [])
+  assert.ok(!('app' in remote))
+
+  lazyRemote.setBuiltins({ app: {} })
+  remote.setTransport(client)
+  await remote.ready
+  assert.deepStrictEqual(remote.handshake.builtins, ['app'])
+})
+
+test('setting the transport again does not add its listeners twice', async () => {
+  const {client, server} = loopbackTransport.create()
+  lazyRemote.listen(server)
+  let calls = 0
+  lazyRemote.setBuiltins({ app: { call: (callback) => callback() } })
+  remote.setTransport(client)
+  remote.setTransport(client)
+  await remote.ready
+
+  remote.app.call(() => { calls++ }).$
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.strictEqual(calls, 1)
+})
+
+test('the listeners are removed from the previous transport', async () => {
+  const previous = loopbackTransport.create()
+  const next = loopbackTransport.create()
+  lazyRemote.listen(previous.server)
+  lazyRemote.listen(next.server)
+  let calls = 0
+  lazyRemote.setBuiltins({ app: { call: (callback) => callback() } })
+  remote.setTransport(previous.client)
+  remote.setTransport(next.client)
+  await remote.ready
+
+  const callback = () => { calls++ }
+  remote.app.call(callback).$
+  const id = v8Util.getHiddenValue(callback, 'lazyCallbackId')
+  previous.sender.send('ELECTRON_RENDERER_LAZY_REMOTE_CALLBACK', `${process.pid}-1`, id, { type: 'array', members: [] })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.strictEqual(calls, 1)
+})
@@ -0,0 +1,53 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+class Path {}
+
+lazyRemote.setBuiltins({
+  app: {
+    getPath: () => new Path(),
+    getReady: () => Promise.resolve({ ready: true })
+  }
+})
+lazyRemote.configure({ maxCallsPerSecond: 100 })
+
+const {client, server, sender} = loopbackTransport.create()
+lazyRemote.listen(server)
+
+// Keep objects, a promise and the call tracking of the limits for |contextId|.
+const useContext = function (contextId) {
+  const app = [{type: 'get_builtin', module: 'app'}]
+  client.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', contextId,
+                  [...app, {type: 'member_call', name: 'getPath', args: []}])
+  client.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', contextId,
+                  [...app, {type: 'member_call', name: 'getReady', args: []}])
+}
+
+const deleteListeners = () => sender.listenerCount('render-view-deleted')
+
+test('each context registers one delete listener, removed on release', () => {
+  const baseline = deleteListeners()
+  for (let i = 1; i <= 12; i++) {
+    const contextId = `${process.pid}-${i}`
+    useContext(contextId)
+    assert.strictEqual(deleteListeners(), baseline + 1)
+    client.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_CONTEXT_RELEASE', contextId)
+    assert.strictEqual(deleteListeners(), baseline)
+  }
+})
+
+test('deleting the render view releases its contexts', () => {
+  const baseline = deleteListeners()
+  useContext(`${process.pid}-20`)
+  useContext(`${process.pid}-21`)
+  assert.strictEqual(deleteListeners(), baseline + 2)
+  const owners = () => Object.keys(lazyRemote.getObjectsSnapshot().owners)
+  assert.strictEqual(owners().length, 2)
+
+  sender.emit('render-view-deleted', {}, process.pid)
+  assert.strictEqual(deleteListeners(), baseline)
+  assert.strictEqual(owners().length, 0)
+})
@@ -0,0 +1,101 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const objectsRegistry = require('../lib/browser/objects-registry')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+const {client, server, sender} = loopbackTransport.create()
+lazyRemote.setBuiltins({
+  app: {
+    id: (value) => value,
+    echo: (value) => value,
+    many: (count) => Array.from({ length: count }, () => ({}))
+  }
+})
+lazyRemote.listen(server)
+remote.setTransport(client)
+
+const exceededLimits = []
+lazyRemote.events.on('limit-exceeded', ({limit}) => exceededLimits.push(limit))
+
+const isRPCError = (error) => {
+  assert.strictEqual(error.code, 'EBADRPC')
+  return true
+}
+
+test('maxCommands counts the chains nested in arguments', () => {
+  lazyRemote.configure({ maxCommands: 3 })
+  try {
+    assert.strictEqual(remote.app.id(1).$, 1)
+    let nested = remote.app
+    for (let i = 0; i < 50; i++) nested = nested.echo
+    assert.throws(() => remote.app.id(nested).$, isRPCError)
+    assert.throws(() => remote.app.id([{ value: nested }]).$, isRPCError)
+    assert.deepStrictEqual(exceededLimits.splice(0), ['maxCommands', 'maxCommands'])
+  } finally {
+    lazyRemote.configure({ maxCommands: null })
+  }
+})
+
+test('maxCallsPerSecond forgets the calls of deleted render views', () => {
+  lazyRemote.configure({ maxCallsPerSecond: 3 })
+  try {
+    for (let i = 0; i < 3; i++) remote.app.id(i).$
+    assert.throws(() => remote.app.id(3).$, isRPCError)
+
+    // Outside of Electron the process ID takes the place of the render process
+    // host ID.
+    sender.emit('render-view-deleted', {}, process.pid)
+    assert.strictEqual(remote.app.id(4).$, 4)
+    exceededLimits.splice(0)
+  } finally {
+    lazyRemote.configure({ maxCallsPerSecond: null })
+  }
+})
+
+test('maxObjects counts the handles until their render view is deleted', () => {
+  const ownerKey = `${sender.id}-${process.pid}-1`
+  lazyRemote.configure({ maxObjects: 2 })
+  try {
+    remote.app.$handle
+    remote.app.$handle
+    assert.strictEqual(lazyRemote.getObjectsSnapshot().owners[ownerKey].handles, 2)
+    assert.throws(() => remote.app.$handle, isRPCError)
+    assert.throws(() => remote.app.$, isRPCError)
+    assert.strictEqual(remote.app.id(1).$, 1)
+    assert.deepStrictEqual(exceededLimits.splice(0), ['maxObjects', 'maxObjects'])
+
+    sender.emit('render-view-deleted', {}, process.pid)
+    assert.strictEqual(lazyRemote.getObjectsSnapshot().owners[ownerKey], undefined)
+    assert.strictEqual(remote.app.id(1).$, 1)
+  } finally {
+    lazyRemote.configure({ maxObjects: null })
+  }
+})
+
+test('maxObjects is checked when the objects are referenced', () => {
+  const count = () => objectsRegistry.count(sender, `${process.pid}-1`)
+  lazyRemote.configure({ maxObjects: 2 })
+  try {
+    const before = count()
+    assert.throws(() => remote.app.many(100).$, isRPCError)
+    assert.strictEqual(count(), before)
+    assert.strictEqual(remote.app.id('name').$, 'name')
+    assert.strictEqual(remote.app.many(2).$.length, 2)
+    assert.strictEqual(count(), before + 2)
+    assert.deepStrictEqual(exceededLimits.splice(0), ['maxObjects'])
+  } finally {
+    lazyRemote.configure({ maxObjects: null })
+  }
+})
+
+test('limits must be non-negative integers or null', () => {
+  for (const value of [NaN, -1, 1.5, Infinity, '10']) {
+    assert.throws(() => lazyRemote.configure({ maxCommands: value }), TypeError)
+    assert.throws(() => lazyRemote.configure({ maxObjects: value }), TypeError)
+  }
+  lazyRemote.configure({ maxCommands: 0, maxObjects: null })
+  lazyRemote.configure({ maxCommands: null })
+})
@@ -0,0 +1,86 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const v8Util = require('../lib/common/v8-util')
+
+// Functions marked as asynchronous get a callback to reply with.
+const markAsync = (func) => {
+  v8Util.setHiddenValue(func, 'asynchronous', true)
+  return func
+}
+
+class FakeBrowserWindow {
+  constructor (title) {
+    this.title = title
+  }
+
+  getTitle () {
+    return this.title
+  }
+
+  setTitle (title) {
+    this.title = title
+  }
+}
+
+const currentWindow = new FakeBrowserWindow('main')
+const remote = require('../lib/loopback')({
+  electron: {
+    app: {
+      getName: () => 'test',
+      later: (value) => Promise.resolve(value),
+      callLater: markAsync((value, callback) => setTimeout(() => callback(value), 10)),
+      each: (values, callback) => values.forEach((value) => callback(value)),
+      fail: () => {
+        const error = new TypeError('bad input')
+        error.code = 'EBADINPUT'
+        throw error
+      }
+    },
+    BrowserWindow: FakeBrowserWindow
+  },
+  currentWindow
+})
+
+test('$ commits a chain synchronously', () => {
+  assert.strictEqual(remote.app.getName().$, 'test')
+  assert.strictEqual(remote.getCurrentWindow().getTitle().$, 'main')
+  assert.strictEqual(new remote.BrowserWindow('other').getTitle().$, 'other')
+})
+
+test('assignments are committed', () => {
+  remote.getCurrentWindow().title = 'renamed'
+  assert.strictEqual(currentWindow.title, 'renamed')
+  remote.getCurrentWindow().setTitle('main').$
+  assert.strictEqual(currentWindow.title, 'main')
+})
+
+test('$async commits a chain asynchronously', async () => {
+  assert.strictEqual(await remote.app.getName().$async, 'test')
+  assert.strictEqual(await remote.app.later(42).$async, 42)
+  assert.strictEqual(await remote.app.later('sync').$, 'sync')
+})
+
+test('$async replies with the callback of asynchronous functions', async () => {
+  assert.strictEqual(await remote.app.callLater('done').$async, 'done')
+})
+
+test('functions passed in arguments are called back', async () => {
+  const values = []
+  remote.app.each([1, 2, 3], (value) => values.push(value)).$
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.deepStrictEqual(values, [1, 2, 3])
+})
+
+test('errors keep their remote class, properties and command', async () => {
+  const check = (error) => {
+    assert.ok(error instanceof remote.RemoteError)
+    assert.strictEqual(error.name, 'TypeError')
+    assert.strictEqual(error.code, 'EBADINPUT')
+    assert.match(error.message, /bad input/)
+    assert.strictEqual(error.commandIndex, 1)
+    return true
+  }
+  assert.throws(() => remote.app.fail().$, check)
+  await assert.rejects(remote.app.fail().$async, check)
+})
@@ -0,0 +1,72 @@
+const assert = require('assert')
+const {EventEmitter} = require('events')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const remote = require('../lib/renderer/remote')
+const loopbackTransport = require('../lib/common/transports/loopback')
+
+class Window extends EventEmitter {}
+
+const windows = [new Window(), new Window(), new Window()]
+const {client, server, sender} = loopbackTransport.create()
+lazyRemote.setBuiltins({
+  app: {
+    getWindow: (index) => windows[index],
+    getName: () => 'test'
+  }
+})
+lazyRemote.listen(server)
+remote.setTransport(client)
+
+const contextId = `${process.pid}-1`
+const tick = () => new Promise((resolve) => setImmediate(resolve))
+
+test('subscribers receive the events until they unsubscribe', async () => {
+  const received = []
+  const unsubscribe = remote.subscribe(remote.app.getWindow(0), 'resize', (...args) => {
+    received.push(args)
+  })
+  assert.strictEqual(windows[0].listenerCount('resize'), 1)
+
+  windows[0].emit('resize', 800, 600)
+  await tick()
+  assert.deepStrictEqual(received, [[800, 600]])
+
+  unsubscribe()
+  await tick()
+  assert.strictEqual(windows[0].listenerCount('resize'), 0)
+  windows[0].emit('resize', 1024, 768)
+  await tick()
+  assert.strictEqual(received.length, 1)
+
+  // Unsubscribing again is a no-op.
+  unsubscribe()
+})
+
+test('subscribing to a value that is not an EventEmitter throws', () => {
+  assert.throws(() => remote.subscribe(remote.app.getName(), 'change', () => {}), (error) => {
+    assert.ok(error instanceof remote.RemoteError)
+    assert.strictEqual(error.code, 'EBADRPC')
+    return true
+  })
+})
+
+test('deleting the render view removes the listeners of its contexts', () => {
+  remote.subscribe(remote.app.getWindow(1), 'resize', () => {})
+  remote.subscribe(remote.app.getWindow(1), 'move', () => {})
+  assert.strictEqual(windows[1].listenerCount('resize'), 1)
+  assert.strictEqual(windows[1].listenerCount('move'), 1)
+
+  sender.emit('render-view-deleted', {}, process.pid)
+  assert.strictEqual(windows[1].listenerCount('resize'), 0)
+  assert.strictEqual(windows[1].listenerCount('move'), 0)
+})
+
+test('releasing the context removes its listeners', () => {
+  remote.subscribe(remote.app.getWindow(2), 'resize', () => {})
+  assert.strictEqual(windows[2].listenerCount('resize'), 1)
+
+  client.sendSync('ELECTRON_BROWSER_LAZY_REMOTE_CONTEXT_RELEASE', contextId)
+  assert.strictEqual(windows[2].listenerCount('resize'), 0)
+})
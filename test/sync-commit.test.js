@@ -0,0 +1,72 @@
+const assert = require('assert')
+const {EventEmitter} = require('events')
+const {test} = require('node:test')
+
+const lazyRemote = require('../lib/browser/rpc-server')
+const v8Util = require('../lib/common/v8-util')
+const Sender = require('../lib/common/transports/sender')
+
+class Slow {}
+
+// Functions marked as asynchronous get a callback to reply with.
+const markAsync = (func) => {
+  v8Util.setHiddenValue(func, 'asynchronous', true)
+  return func
+}
+
+lazyRemote.setBuiltins({
+  app: {
+    later: markAsync((callback) => setTimeout(() => callback('done'), 10)),
+    never: markAsync(() => {}),
+    slow: markAsync((callback) => setTimeout(() => callback(new Slow()), 40))
+  }
+})
+
+// The loopback transport returns from sendSync right away, emit the messages
+// directly to see the replies set later.
+const transport = new EventEmitter()
+const sender = new Sender(() => {})
+lazyRemote.listen(transport)
+
+const commit = (name, timeout) => {
+  const event = { sender }
+  const replied = new Promise((resolve) => {
+    Object.defineProperty(event, 'returnValue', { set: resolve })
+  })
+  const commands = [
+    { type: 'get_builtin', module: 'app' },
+    { type: 'member_call', name, args: [] }
+  ]
+  transport.emit('ELECTRON_BROWSER_LAZY_REMOTE_COMMIT', event, `${process.pid}-1`, commands, timeout)
+  return replied
+}
+
+test('sync commits reply with the callback of asynchronous functions', async () => {
+  const meta = await commit('later', null)
+  assert.strictEqual(meta.value, 'done')
+})
+
+test('sync commits time out waiting for the callback', async () => {
+  const meta = await commit('never', 20)
+  assert.strictEqual(meta.type, 'exception')
+  assert.strictEqual(meta.name, 'TimeoutError')
+  assert.match(meta.message, /timed out after 20ms/)
+})
+
+test('the timeout option of the main process caps the renderers', async () => {
+  lazyRemote.configure({ timeout: 20 })
+  try {
+    const meta = await commit('never', 1000 * 1000)
+    assert.strictEqual(meta.name, 'TimeoutError')
+  } finally {
+    lazyRemote.configure({ timeout: null })
+  }
+})
+
+test('late callbacks do not register their results after a timeout', async () => {
+  const meta = await commit('slow', 20)
+  assert.strictEqual(meta.name, 'TimeoutError')
+  const before = Object.keys(lazyRemote.getObjectsSnapshot().objects).length
+  await new Promise((resolve) => setTimeout(resolve, 40))
+  assert.strictEqual(Object.keys(lazyRemote.getObjectsSnapshot().objects).length, before)
+})
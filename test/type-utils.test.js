@@ -0,0 +1,109 @@
+const assert = require('assert')
+const {test} = require('node:test')
+
+const typeUtils = require('../lib/common/type-utils')
+const remote = require('../lib/loopback')({
+  electron: {
+    app: {
+      echo: (value) => value,
+      getGraph: () => {
+        const shared = { a: 1 }
+        const graph = {
+          map: new Map([['shared', shared]]),
+          set: new Set([1, undefined]),
+          shared,
+          list: [shared, undefined, NaN, -0, Infinity, 10n, /x/gi]
+        }
+        graph.self = graph
+        return graph
+      },
+      inspectGraph: (graph) => ({
+        isCircular: graph.self === graph,
+        isListShared: graph.list[0] === graph.shared,
+        isMapShared: graph.map.get('shared') === graph.shared,
+        isMap: graph.map instanceof Map,
+        isSet: graph.set instanceof Set,
+        isNegativeZero: Object.is(graph.list[3], -0)
+      })
+    }
+  }
+})
+
+test('values IPC can not copy are converted into meta data', () => {
+  assert.deepStrictEqual(typeUtils.valueToMeta(undefined), { type: 'undefined' })
+  assert.deepStrictEqual(typeUtils.valueToMeta(10n), { type: 'bigint', value: '10' })
+  assert.deepStrictEqual(typeUtils.valueToMeta(-0), { type: 'number', value: '-0' })
+  assert.deepStrictEqual(typeUtils.valueToMeta(NaN), { type: 'number', value: 'NaN' })
+  assert.deepStrictEqual(typeUtils.valueToMeta(-Infinity), { type: 'number', value: '-Infinity' })
+  assert.deepStrictEqual(typeUtils.valueToMeta(/a+/g), { type: 'regexp', source: 'a+', flags: 'g' })
+  assert.strictEqual(typeUtils.valueToMeta(1), null)
+  assert.strictEqual(typeUtils.valueToMeta('a'), null)
+  assert.strictEqual(typeUtils.valueToMeta({}), null)
+})
+
+test('meta data is converted back into the values', () => {
+  const roundTrip = (value) => typeUtils.metaToValue(typeUtils.valueToMeta(value))
+  assert.strictEqual(roundTrip(undefined), undefined)
+  assert.strictEqual(roundTrip(10n), 10n)
+  assert.ok(Object.is(roundTrip(-0), -0))
+  assert.ok(Number.isNaN(roundTrip(NaN)))
+  assert.strictEqual(roundTrip(-Infinity), -Infinity)
+  const regexp = roundTrip(/a+/g)
+  assert.ok(regexp instanceof RegExp)
+  assert.strictEqual(regexp.source, 'a+')
+  assert.strictEqual(regexp.flags, 'g')
+  assert.ok(typeUtils.isMeta({ type: 'regexp' }))
+  assert.ok(!typeUtils.isMeta({ type: 'object' }))
+})
+
+test('references assign an ID to each container met the first time', () => {
+  const references = typeUtils.createReferences()
+  const value = {}
+  const meta = {}
+  assert.strictEqual(references.visit(value, meta), null)
+  assert.strictEqual(meta.ref, 0)
+  assert.strictEqual(references.visit([], {}), null)
+  assert.deepStrictEqual(references.visit(value, {}), { type: 'reference', ref: 0 })
+})
+
+test('special values are kept in both directions', () => {
+  const value = remote.app.echo([undefined, NaN, -0, Infinity, 10n, /a/g, new Map([[1, 2]]), new Set(['a'])]).$
+  assert.strictEqual(value.length, 8)
+  assert.strictEqual(value[0], undefined)
+  assert.ok(Number.isNaN(value[1]))
+  assert.ok(Object.is(value[2], -0))
+  assert.strictEqual(value[3], Infinity)
+  assert.strictEqual(value[4], 10n)
+  assert.deepStrictEqual(value[5], /a/g)
+  assert.deepStrictEqual(value[6], new Map([[1, 2]]))
+  assert.deepStrictEqual(value[7], new Set(['a']))
+})
+
+test('circular and shared graphs are kept from the main process', () => {
+  const graph = remote.app.getGraph().$value
+  assert.strictEqual(graph.self, graph)
+  assert.strictEqual(graph.list[0], graph.shared)
+  assert.strictEqual(graph.map.get('shared'), graph.shared)
+  assert.ok(graph.set.has(undefined))
+  assert.ok(Object.is(graph.list[3], -0))
+  assert.deepStrictEqual(graph.list[6], /x/gi)
+})
+
+test('circular and shared graphs are kept from the renderer', () => {
+  const shared = { a: 1 }
+  const graph = {
+    map: new Map([['shared', shared]]),
+    set: new Set([2]),
+    shared,
+    list: [shared, undefined, NaN, -0]
+  }
+  graph.self = graph
+  assert.deepStrictEqual(remote.app.inspectGraph(graph).$value, {
+    isCircular: true,
+    isListShared: true,
+    isMapShared: true,
+    isMap: true,
+    isSet: true,
+    isNegativeZero: true
+  })
+})